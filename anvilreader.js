@@ -0,0 +1,185 @@
+import path from 'path'
+import zlib from 'zlib'
+import { promises as fs } from 'fs'
+import { parse, parseUncompressed, simplify } from 'prismarine-nbt'
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver from './blockstateresolver.js'
+import { unpackPadded, unpackSpanning } from './packedarray.js'
+
+const AXES = ['x', 'y', 'z']
+const SECTOR_BYTES = 4096
+
+// 20w17a (1.16) stopped packing block states across long boundaries
+const PADDED_DATA_VERSION = 2529
+
+// Largest area, in blocks, read at once (256 x 256 x 256). The voxel grid
+// takes two bytes a block, and --light adds three more arrays of the same size.
+const MAX_WORLD_VOLUME = 256 * 256 * 256
+
+const readFileOrNull = (file) => fs.readFile(file).catch(error => {
+  if (error.code === 'ENOENT') return null
+  throw error
+})
+
+// Decompress one chunk from a region file. Chunks too big for the region
+// file live in a c.<x>.<z>.mcc file next to it.
+const readChunk = async (regionFile, region, chunkX, chunkZ) => {
+  const entry = ((chunkX & 31) + (chunkZ & 31) * 32) * 4
+  const sector = region.readUIntBE(entry, 3)
+  if (sector === 0) return null
+
+  const offset = sector * SECTOR_BYTES
+  const length = region.readUInt32BE(offset)
+  const compression = region[offset + 4]
+
+  let data = region.subarray(offset + 5, offset + 4 + length)
+  if (compression & 0x80) {
+    data = await fs.readFile(path.join(path.dirname(regionFile), `c.${chunkX}.${chunkZ}.mcc`))
+  }
+
+  switch (compression & 0x7F) {
+    case 1: return parseUncompressed(zlib.gunzipSync(data))
+    case 2: return parseUncompressed(zlib.inflateSync(data))
+    case 3: return parseUncompressed(data)
+    default:
+      throw new Error(`Chunk ${chunkX},${chunkZ} uses unsupported compression type ${compression & 0x7F}`)
+  }
+}
+
+// Block sections of a chunk, in the 1.18+ layout (`sections` with
+// `block_states`) or the 1.13-1.17 one (`Level.Sections` with `Palette`)
+const chunkSections = (chunk) => {
+  const dataVersion = chunk.value.DataVersion?.value ?? 0
+  const modern = chunk.value.sections
+  const legacy = chunk.value.Level?.value.Sections
+
+  return (modern || legacy)?.value.value.map(section => {
+    if (modern) {
+      const blockStates = section.block_states?.value
+      return {
+        y: section.Y.value,
+        palette: blockStates?.palette?.value.value,
+        data: blockStates?.data?.value,
+        dataVersion
+      }
+    }
+
+    if (section.Blocks && !section.Palette) {
+      throw new Error('World predates 1.13; only worlds saved by 1.13 or later can be read')
+    }
+    return {
+      y: section.Y.value,
+      palette: section.Palette?.value.value,
+      data: section.BlockStates?.value,
+      dataVersion
+    }
+  }) || []
+}
+
+// Palette index of every block in a section, ordered x first, then z, then y
+const sectionStates = ({ palette, data, dataVersion }) => {
+  if (!data) return new Uint32Array(4096)
+
+  const bitsPerBlock = Math.max(4, Math.ceil(Math.log2(palette.length)))
+  return dataVersion >= PADDED_DATA_VERSION
+    ? unpackPadded(data, bitsPerBlock, 4096)
+    : unpackSpanning(data, bitsPerBlock, 4096)
+}
+
+/**
+ * Source for convertWorld: the blocks between two corners of a world save.
+ *
+ * @param {string} worldDirectory - World save directory (containing level.dat and region/)
+ * @param {object} bounds
+ * @param {{ x: number, y: number, z: number }} bounds.min - One corner, in block coordinates
+ * @param {{ x: number, y: number, z: number }} bounds.max - The opposite corner (inclusive)
+ * @throws {Error} When the area holds more than MAX_WORLD_VOLUME blocks
+ */
+const createWorldSource = (worldDirectory, { min, max }) => {
+  for (const corner of [min, max]) {
+    if (!corner || !AXES.every(axis => Number.isInteger(corner[axis]))) {
+      throw new Error('World bounds need integer x, y and z for both corners')
+    }
+  }
+
+  const from = {}
+  const to = {}
+  for (const axis of AXES) {
+    from[axis] = Math.min(min[axis], max[axis])
+    to[axis] = Math.max(min[axis], max[axis])
+  }
+
+  const size = {
+    x: to.x - from.x + 1,
+    y: to.y - from.y + 1,
+    z: to.z - from.z + 1
+  }
+  const volume = size.x * size.y * size.z
+  if (volume > MAX_WORLD_VOLUME) {
+    throw new Error(
+      `World area ${size.x}x${size.y}x${size.z} holds ${volume} blocks; ` +
+      `at most ${MAX_WORLD_VOLUME} can be converted at once`
+    )
+  }
+
+  return {
+    format: 'anvil',
+
+    async dataVersion() {
+      const levelData = await readFileOrNull(path.join(worldDirectory, 'level.dat'))
+      if (!levelData) return null
+      const { parsed } = await parse(levelData)
+      return parsed.value.Data?.value.DataVersion?.value ?? null
+    },
+
+    async read(mcModules) {
+      const regionDirectory = path.join(worldDirectory, 'region')
+      if (!await fs.stat(regionDirectory).then(stat => stat.isDirectory(), () => false)) {
+        throw new Error(`Not a world save (no region directory): ${worldDirectory}`)
+      }
+
+      const grid = new VoxelGrid(size)
+      const resolver = new BlockStateResolver(grid, mcModules)
+      const regions = new Map()
+
+      for (let chunkX = Math.floor(from.x / 16); chunkX <= Math.floor(to.x / 16); chunkX++) {
+        for (let chunkZ = Math.floor(from.z / 16); chunkZ <= Math.floor(to.z / 16); chunkZ++) {
+          const regionFile = path.join(regionDirectory, `r.${chunkX >> 5}.${chunkZ >> 5}.mca`)
+          if (!regions.has(regionFile)) {
+            regions.set(regionFile, await readFileOrNull(regionFile))
+          }
+
+          // Ungenerated chunks are left as air
+          const region = regions.get(regionFile)
+          const chunk = region && await readChunk(regionFile, region, chunkX, chunkZ)
+          if (!chunk) continue
+
+          for (const section of chunkSections(chunk)) {
+            const baseY = section.y * 16
+            if (!section.palette || baseY > to.y || baseY + 15 < from.y) continue
+
+            const palette = section.palette.map(block =>
+              resolver.resolve(block.Name.value, block.Properties ? simplify(block.Properties) : {})
+            )
+            const states = sectionStates(section)
+
+            let index = 0
+            for (let y = baseY; y < baseY + 16; y++) {
+              for (let z = chunkZ * 16; z < chunkZ * 16 + 16; z++) {
+                for (let x = chunkX * 16; x < chunkX * 16 + 16; x++, index++) {
+                  if (x < from.x || x > to.x || y < from.y || y > to.y || z < from.z || z > to.z) continue
+                  const stateIndex = palette[states[index]]
+                  if (stateIndex) grid.set(x - from.x, y - from.y, z - from.z, stateIndex)
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return { grid, unknownBlocks: [...resolver.unknownBlocks] }
+    }
+  }
+}
+
+export { MAX_WORLD_VOLUME, createWorldSource }
@@ -1,13 +1,25 @@
 import path from 'path'
 import { promises as fs } from 'fs'
+import defaultLogger from './logger.js'
+
+// Fluids have no block model in the assets; vanilla draws them in code. Their
+// still texture is used on every side, and water's faces take the biome tint.
+const FLUID_TEXTURES = {
+  water: 'water_still',
+  lava: 'lava_still'
+}
+
+// Height of a fluid's surface (0-16) for its level: 0 is a source, 1-7 flow
+// lower and lower, and 8 or more is falling fluid, which fills its block
+const fluidHeight = (level = 0) => level >= 8 ? 16 : 16 * (8 - level) / 9
 
 class BlockModelLoader {
-  constructor(assetsDirectory) {
+  constructor(assetsDirectory, options = {}) {
     this.assetsDirectory = assetsDirectory
+    this.logger = options.logger || defaultLogger
     this.modelCache = new Map()
     this.blockModels = null
     this.blockStates = null
-    this.textureMap = new Map()
   }
 
   async loadBlockModels() {
@@ -27,44 +39,14 @@ class BlockModelLoader {
 
       this.blockStates = JSON.parse(stateData)
 
-      // Load texture mappings
-      const texturesJson = await fs.readFile(path.join(this.assetsDirectory, 'blocks_textures.json'), 'utf8')
-      const textureData = texturesJson.trim().split('</blocks_textures.json>')[0]
-        .replace('<blocks_textures.json>', '')
-        .trim()
-
-      const texturesData = JSON.parse(textureData)
-
-      // Build texture mapping
-      for (const entry of texturesData) {
-        if (entry.texture) {
-          const cleanName = this.cleanTexturePath(entry.name)
-          const cleanTexture = this.cleanTexturePath(entry.texture)
-          
-          const variants = [
-            cleanName,
-            `block/${cleanName}`,
-            `minecraft:block/${cleanName}`,
-            cleanTexture,
-            cleanTexture.split('/').pop(),
-            entry.texture
-          ]
-
-          variants.forEach(variant => {
-            if (variant) this.textureMap.set(variant, entry.texture)
-          })
-        }
-      }
-
-      console.log('Model loading complete:', {
+      this.logger.debug('Model loading complete:', {
         modelCount: Object.keys(this.blockModels).length,
-        stateCount: Object.keys(this.blockStates).length,
-        textureCount: this.textureMap.size
+        stateCount: Object.keys(this.blockStates).length
       })
 
       return true
     } catch (error) {
-      console.error('Error loading block data:', error)
+      this.logger.error('Error loading block data:', error)
       throw error
     }
   }
@@ -74,30 +56,35 @@ class BlockModelLoader {
     
     // Try cached model first
     const modelKey = this.cleanTexturePath(blockName.split('[')[0]) // Base name without state
-    const cacheKey = `${modelKey}:${JSON.stringify(blockState)}`
+    const cacheKey = `${modelKey}:${this.stateKey(blockState)}`
     const cached = this.modelCache.get(cacheKey)
     if (cached) return cached
 
+    if (this.isFluid(cleanName)) {
+      const fluid = this.getFluidModel(cleanName, Number(blockState.level) || 0)
+      this.modelCache.set(cacheKey, fluid)
+      return fluid
+    }
+
     // Get state-specific variant
     const blockStateData = this.blockStates[cleanName]
     let modelName = cleanName
 
-    // Try multiple model name patterns
-    const modelPatterns = [
-      cleanName,
-      `block/${cleanName}`,
-      `minecraft:block/${cleanName}`,
-      cleanName.replace('minecraft:', ''),
-      cleanName.split('[')[0] // Try without state data
-    ]
+    if (blockStateData?.multipart) {
+      const multipartModel = this.getMultipartModel(cleanName, blockStateData.multipart, blockState)
+      if (multipartModel) {
+        this.modelCache.set(cacheKey, multipartModel)
+        return multipartModel
+      }
+    }
+
+    const modelPatterns = []
+    let variant = null
 
-    // Add state-specific variants
+    // State-specific variants come first: a model named after the block
+    // (e.g. oak_stairs) is only one of its variants
     if (blockStateData?.variants) {
-      const stateString = Object.entries(blockState)
-        .map(([key, value]) => `${key}=${value}`)
-        .join(',') || ''
-      
-      const variant = blockStateData.variants[stateString] || blockStateData.variants['']
+      variant = this.findVariant(blockStateData.variants, blockState)
       if (variant?.model) {
         modelPatterns.push(
           this.cleanTexturePath(variant.model),
@@ -107,6 +94,15 @@ class BlockModelLoader {
       }
     }
 
+    // Fall back to multiple model name patterns
+    modelPatterns.push(
+      cleanName,
+      `block/${cleanName}`,
+      `minecraft:block/${cleanName}`,
+      cleanName.replace('minecraft:', ''),
+      cleanName.split('[')[0] // Try without state data
+    )
+
     // Try each pattern until we find a model
     for (const pattern of modelPatterns) {
       const model = this.blockModels[pattern]
@@ -123,12 +119,12 @@ class BlockModelLoader {
     }
 
     if (!model) {
-      console.warn(`No model found for ${modelName}`)
+      this.logger.warn(`No model found for ${modelName}`)
       return null
     }
 
     // Process and cache the model
-    console.log('Loading model:', {
+    this.logger.debug('Loading model:', {
       name: modelName,
       state: blockState,
       hasParent: !!model.parent,
@@ -137,42 +133,122 @@ class BlockModelLoader {
     })
     
     const processed = this.processModel(modelName, model)
+
+    // Variant rotation is applied by BlockModelRenderer when building geometry
+    processed.x = variant?.x || 0
+    processed.y = variant?.y || 0
+    processed.uvlock = !!variant?.uvlock
+
     this.modelCache.set(cacheKey, processed)
     
     return processed
   }
 
-  processModel(modelName, model) {
-    if (!model) return null
+  isFluid(blockName) {
+    return this.cleanTexturePath(blockName) in FLUID_TEXTURES
+  }
 
-    // Create a deep copy
-    const processed = JSON.parse(JSON.stringify(model))
+  // A box up to the fluid's surface, with every face culled against its
+  // neighbor so only the outside of a body of fluid is drawn
+  getFluidModel(blockName, level) {
+    const name = this.cleanTexturePath(blockName)
+    const faces = {}
+    for (const face of ['down', 'up', 'north', 'south', 'west', 'east']) {
+      faces[face] = { texture: FLUID_TEXTURES[name], cullface: face }
+      if (name === 'water') faces[face].tintindex = 0
+    }
 
-    // Handle parent inheritance recursively
-    if (processed.parent) {
-      // Try multiple parent name patterns without cleaning
-      const parentPatterns = [
-        processed.parent,
-        processed.parent.replace('minecraft:', ''),
-        `block/${processed.parent.replace('minecraft:', '')}`,
-        processed.parent.replace('block/', '')
-      ]
-      
-      let parentModel = null
-      let foundPattern = null
-      for (const pattern of parentPatterns) {
-        parentModel = this.blockModels[pattern]
-        if (parentModel) {
-          foundPattern = pattern
-          break
-        }
+    return {
+      textures: { particle: FLUID_TEXTURES[name] },
+      elements: [{ from: [0, 0, 0], to: [16, fluidHeight(level), 16], faces }],
+      x: 0,
+      y: 0,
+      uvlock: false
+    }
+  }
+
+  // Multipart blockstates (fences, walls, panes, redstone) combine every part
+  // whose `when` condition holds. Parts keep their own x/y/uvlock, so the
+  // result is a list of models that BlockModelRenderer merges.
+  getMultipartModel(blockName, multipart, blockState) {
+    const parts = []
+
+    for (const part of multipart) {
+      if (part.when && !this.matchesCondition(part.when, blockState)) continue
+
+      // Randomized parts are a weighted list; use the first as vanilla's default look
+      const apply = Array.isArray(part.apply) ? part.apply[0] : part.apply
+      const modelName = this.cleanTexturePath(apply?.model)
+      const model = this.blockModels[modelName]
+      if (!model) {
+        this.logger.warn(`No model found for ${modelName} in multipart ${blockName}`)
+        continue
       }
-      
-      if (parentModel) {
-        const processedParent = this.processModel(foundPattern, parentModel)
-        this.mergeModels(processed, processedParent)
+
+      parts.push({
+        ...this.processModel(modelName, model),
+        x: apply.x || 0,
+        y: apply.y || 0,
+        uvlock: !!apply.uvlock
+      })
+    }
+
+    if (parts.length === 0) {
+      this.logger.warn(`No multipart parts apply to ${blockName}`, blockState)
+      return null
+    }
+
+    this.logger.debug('Loading multipart model:', {
+      name: blockName,
+      state: blockState,
+      partCount: parts.length
+    })
+
+    return { parts }
+  }
+
+  // Multipart `when` condition: property values may list alternatives
+  // ("north|south"), and OR/AND hold lists of nested conditions
+  matchesCondition(when, blockState) {
+    if (when.OR) return when.OR.some(condition => this.matchesCondition(condition, blockState))
+    if (when.AND) return when.AND.every(condition => this.matchesCondition(condition, blockState))
+
+    return Object.entries(when).every(([property, values]) =>
+      String(values).split('|').includes(String(blockState[property]))
+    )
+  }
+
+  // Pick the variant whose conditions (e.g. "facing=east,half=bottom") all
+  // hold for the block. Keys may list only some of the block's properties.
+  findVariant(variants, blockState) {
+    for (const [key, variant] of Object.entries(variants)) {
+      const matches = key === '' || key === 'normal' || key.split(',').every(condition => {
+        const [property, value] = condition.split('=')
+        return String(blockState[property]) === value
+      })
+
+      if (matches) {
+        // Randomized variants are a weighted list; use the first as vanilla's default look
+        return Array.isArray(variant) ? variant[0] : variant
       }
     }
+    return null
+  }
+
+  // Stable string for a set of block properties, independent of key order
+  stateKey(blockState = {}) {
+    return Object.keys(blockState)
+      .sort()
+      .map(key => `${key}=${blockState[key]}`)
+      .join(',')
+  }
+
+  processModel(modelName, model) {
+    if (!model) return null
+
+    // Inherit from the whole parent chain first, so that texture variables and
+    // element uvs are resolved exactly once, against the final texture set
+    const processed = this.inheritModel(model)
 
     // Process textures
     processed.textures = this.resolveTextures(processed.textures || {})
@@ -188,6 +264,33 @@ class BlockModelLoader {
     return processed
   }
 
+  inheritModel(model) {
+    // Create a deep copy
+    const inherited = JSON.parse(JSON.stringify(model))
+
+    // Handle parent inheritance recursively
+    if (inherited.parent) {
+      // Try multiple parent name patterns without cleaning
+      const parentPatterns = [
+        inherited.parent,
+        inherited.parent.replace('minecraft:', ''),
+        `block/${inherited.parent.replace('minecraft:', '')}`,
+        inherited.parent.replace('block/', ''),
+        this.cleanTexturePath(inherited.parent) // Models are keyed by bare name
+      ]
+      
+      const parentModel = parentPatterns
+        .map(pattern => this.blockModels[pattern])
+        .find(Boolean)
+      
+      if (parentModel) {
+        this.mergeModels(inherited, this.inheritModel(parentModel))
+      }
+    }
+
+    return inherited
+  }
+
   processElement(element, textures) {
     // Keep original Minecraft coordinates (0-16)
     const processed = {
@@ -212,7 +315,7 @@ class BlockModelLoader {
         processed.faces[face] = {
           ...data,
           uv: data.uv?.map(v => v / 16), // Convert from MC 16x16 space to UV 0-1 space
-          texture: this.resolveTextureReferences(data.texture, textures)
+          texture: this.resolveTextureReference(data.texture, textures)
         }
       }
     }
@@ -223,43 +326,27 @@ class BlockModelLoader {
   resolveTextures(textures) {
     const resolved = {}
     for (const [key, value] of Object.entries(textures)) {
-      resolved[key] = this.resolveTextureReferences(value, textures)
+      resolved[key] = this.resolveTextureReference(value, textures)
     }
     return resolved
   }
 
-  resolveTextureReferences(textures) {
-    const resolved = {}
+  // Follow "#name" references through the model's texture variables down to a
+  // texture path, returned as the bare name the texture atlas is keyed by
+  // (e.g. "minecraft:block/oak_planks" -> "oak_planks"). References that lead
+  // nowhere are returned unchanged.
+  resolveTextureReference(value, textures) {
     const seen = new Set()
+    let current = value
 
-    const resolveReference = (key, value) => {
-      if (!value || seen.has(value)) return value
-      seen.add(value)
-
-      // Handle reference to another texture
-      if (value.startsWith('#')) {
-        const referencedKey = value.substring(1)
-        return textures[referencedKey] ? resolveReference(referencedKey, textures[referencedKey]) : value
-      }
-
-      // Get actual texture path from mapping
-      const cleanPath = this.cleanTexturePath(value)
-      const mappedTexture = this.textureMap.get(cleanPath)
-      
-      if (mappedTexture) {
-        return mappedTexture
-      }
-
-      // If no mapping found, try to clean up the path
-      return cleanPath
+    while (current?.startsWith('#')) {
+      const key = current.substring(1)
+      if (seen.has(key) || !textures[key]) return current
+      seen.add(key)
+      current = textures[key]
     }
 
-    // Resolve all texture references
-    for (const [key, value] of Object.entries(textures)) {
-      resolved[key] = resolveReference(key, value)
-    }
-
-    return resolved
+    return this.cleanTexturePath(current)
   }
 
   mergeModels(target, source) {
@@ -1,184 +1,370 @@
 import * as THREE from 'three'
 import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { addWhiteColors } from './vertexcolors.js'
+import defaultLogger from './logger.js'
+
+const DEG = Math.PI / 180
+
+// Corners of each face as [x, y, z, u, v]. x/y/z pick the element's from (0)
+// or to (1) coordinate, u/v pick the start (0) or end (1) of the face uv.
+// Each face is two triangles: (0, 1, 2) and (2, 1, 3).
+const FACES = {
+  up: {
+    normal: [0, 1, 0],
+    corners: [[0, 1, 1, 0, 1], [1, 1, 1, 1, 1], [0, 1, 0, 0, 0], [1, 1, 0, 1, 0]]
+  },
+  down: {
+    normal: [0, -1, 0],
+    corners: [[1, 0, 1, 0, 1], [0, 0, 1, 1, 1], [1, 0, 0, 0, 0], [0, 0, 0, 1, 0]]
+  },
+  east: {
+    normal: [1, 0, 0],
+    corners: [[1, 1, 1, 0, 0], [1, 0, 1, 0, 1], [1, 1, 0, 1, 0], [1, 0, 0, 1, 1]]
+  },
+  west: {
+    normal: [-1, 0, 0],
+    corners: [[0, 1, 0, 0, 0], [0, 0, 0, 0, 1], [0, 1, 1, 1, 0], [0, 0, 1, 1, 1]]
+  },
+  north: {
+    normal: [0, 0, -1],
+    corners: [[1, 0, 0, 0, 1], [0, 0, 0, 1, 1], [1, 1, 0, 0, 0], [0, 1, 0, 1, 0]]
+  },
+  south: {
+    normal: [0, 0, 1],
+    corners: [[0, 0, 1, 0, 1], [1, 0, 1, 1, 1], [0, 1, 1, 0, 0], [1, 1, 1, 1, 0]]
+  }
+}
+
+// Face uv vanilla derives from the element bounds when a face has none (0-16 space)
+const defaultFaceUv = (face, from, to) => {
+  switch (face) {
+    case 'down': return [from[0], 16 - to[2], to[0], 16 - from[2]]
+    case 'up': return [from[0], from[2], to[0], to[2]]
+    case 'north': return [16 - to[0], 16 - to[1], 16 - from[0], 16 - from[1]]
+    case 'south': return [from[0], 16 - to[1], to[0], 16 - from[1]]
+    case 'west': return [from[2], 16 - to[1], to[2], 16 - from[1]]
+    case 'east': return [16 - to[2], 16 - to[1], 16 - from[2], 16 - from[1]]
+  }
+}
+
+// Texture position of a point when the texture is locked to the world axes
+// (uvlock), using the same projection as defaultFaceUv
+const lockedUv = (face, [x, y, z]) => {
+  switch (face) {
+    case 'down': return [x, 16 - z]
+    case 'up': return [x, z]
+    case 'north': return [16 - x, 16 - y]
+    case 'south': return [x, 16 - y]
+    case 'west': return [z, 16 - y]
+    case 'east': return [16 - z, 16 - y]
+  }
+}
+
+// Name of the face a (rotated) normal points towards
+const faceFromNormal = ({ x, y, z }) => {
+  const ax = Math.abs(x)
+  const ay = Math.abs(y)
+  const az = Math.abs(z)
+  if (ay >= ax && ay >= az) return y > 0 ? 'up' : 'down'
+  if (ax >= az) return x > 0 ? 'east' : 'west'
+  return z > 0 ? 'south' : 'north'
+}
+
+// Element rotation around its origin, including vanilla's optional rescale
+// that stretches 22.5/45 degree elements back to full block width
+const elementMatrix = (rotation) => {
+  if (!rotation?.angle || !rotation.axis) return null
+
+  const angle = rotation.angle * DEG
+  const matrix = new THREE.Matrix4()
+  switch (rotation.axis) {
+    case 'x': matrix.makeRotationX(angle); break
+    case 'y': matrix.makeRotationY(angle); break
+    case 'z': matrix.makeRotationZ(angle); break
+    default: return null
+  }
+
+  if (rotation.rescale) {
+    const factor = 1 / Math.cos(angle)
+    matrix.multiply(new THREE.Matrix4().makeScale(
+      rotation.axis === 'x' ? 1 : factor,
+      rotation.axis === 'y' ? 1 : factor,
+      rotation.axis === 'z' ? 1 : factor
+    ))
+  }
+
+  const [ox, oy, oz] = rotation.origin || [8, 8, 8]
+  return new THREE.Matrix4()
+    .makeTranslation(ox, oy, oz)
+    .multiply(matrix)
+    .multiply(new THREE.Matrix4().makeTranslation(-ox, -oy, -oz))
+}
+
+// Blockstate variant rotation: x first, then y, in 90 degree steps around the
+// block center. Vanilla rotates clockwise, three.js counter-clockwise.
+const variantMatrix = (x = 0, y = 0) => {
+  if (!x && !y) return null
+
+  return new THREE.Matrix4()
+    .makeTranslation(8, 8, 8)
+    .multiply(new THREE.Matrix4().makeRotationY(-y * DEG))
+    .multiply(new THREE.Matrix4().makeRotationX(-x * DEG))
+    .multiply(new THREE.Matrix4().makeTranslation(-8, -8, -8))
+}
+
+// Indexed geometry without faces, with the attributes every block geometry
+// has so it can still be merged with the rest of its chunk
+const emptyGeometry = (colors = false) => {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute([], 3))
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute([], 3))
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute([], 2))
+  if (colors) geometry.setAttribute('color', new THREE.Float32BufferAttribute([], 3))
+  geometry.setIndex([])
+  return geometry
+}
 
 class BlockModelRenderer {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene
+    this.logger = options.logger || defaultLogger
     this.geometryCache = new Map()
     this.materialCache = new Map()
+    this.uvMapping = null
     
     // Default geometry for blocks without models
     this.defaultGeometry = new THREE.BoxGeometry(1, 1, 1)
     this.defaultGeometry.translate(0.5, 0.5, 0.5)
   }
 
-  createGeometryFromModel(model) {
+  // Atlas regions by texture name, from the converter's texture atlas
+  setUvMapping(uvMapping) {
+    this.uvMapping = uvMapping
+    this.geometryCache.clear()
+  }
+
+  // Region of the atlas holding a face's texture. Without an atlas, uvs stay
+  // in the 0-1 space of the texture itself.
+  textureRegion(texture) {
+    if (!this.uvMapping) return { x: 0, y: 0, width: 1, height: 1 }
+
+    const region = this.uvMapping[texture]
+    if (region) return region
+
+    this.logger.debug(`No atlas texture for ${texture}`)
+    return this.uvMapping.missingno
+  }
+
+  // Box for models without elements (chests, beds, signs and other block
+  // entities) and for missing models. It shows the model's particle texture,
+  // or the missing texture when there is none.
+  fallbackGeometry(model = null) {
+    const geometry = this.defaultGeometry.clone()
+    if (!this.uvMapping) return geometry
+
+    const particle = model?.textures?.particle
+    const region = particle && !particle.startsWith('#')
+      ? this.textureRegion(particle)
+      : this.uvMapping.missingno
+    const uv = geometry.attributes.uv
+    for (let i = 0; i < uv.count; i++) {
+      uv.setXY(i, region.x + uv.getX(i) * region.width, region.y + uv.getY(i) * region.height)
+    }
+    return geometry
+  }
+
+  // Whether a model fills its whole block: an unrotated element spanning
+  // 0-16 on every axis. Multipart models never count.
+  isFullCube(model) {
+    return !!model?.elements?.some(element =>
+      !element.rotation?.angle &&
+      element.from?.every(v => v === 0) &&
+      element.to?.every(v => v === 16)
+    )
+  }
+
+  // Build geometry for a model from BlockModelLoader. Coordinates are in
+  // Minecraft's 0-16 block space until the very end, where they become 0-1.
+  // The model's x/y/uvlock come from the blockstate variant.
+  // culledFaces holds the world directions ('north', 'up', ...) covered by an
+  // opaque neighbor; faces whose cullface points that way are left out.
+  // With a tint (0xRRGGBB), the geometry gets vertex colors: the tint on faces
+  // with a tintindex, white everywhere else.
+  createGeometryFromModel(model, culledFaces = null, tint = null) {
+    if (model?.parts) {
+      return this.createGeometryFromParts(model.parts, culledFaces, tint)
+    }
+
     if (!model?.elements?.length) {
-      return this.defaultGeometry.clone()
+      const geometry = this.fallbackGeometry(model)
+      return tint === null ? geometry : addWhiteColors(geometry)
     }
 
-    const geometries = []
-    
+    const positions = []
+    const normals = []
+    const uvs = []
+    const colors = tint === null ? null : []
+    const indices = []
+    const tintColor = tint === null ? null : new THREE.Color(tint)
+
+    const blockMatrix = variantMatrix(model.x, model.y)
+    const blockNormalMatrix = new THREE.Matrix3()
+    if (blockMatrix) blockNormalMatrix.getNormalMatrix(blockMatrix)
+    const normalMatrix = new THREE.Matrix3()
+    const point = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+
     for (const element of model.elements) {
       try {
         if (!element.from || !element.to || 
-            element.from.length !== 3 || element.to.length !== 3) {
+            element.from.length !== 3 || element.to.length !== 3 ||
+            !element.faces) {
           continue
         }
 
-        // Model loader already scaled coordinates to 0-1
-        const from = element.from
-        const to = element.to
-        
-        // Calculate dimensions
-        const size = [
-          Math.abs(to[0] - from[0]) / 16,
-          Math.abs(to[1] - from[1]) / 16,
-          Math.abs(to[2] - from[2]) / 16
-        ]
-
-        // Prevent z-fighting
-        const geometry = new THREE.BoxGeometry(
-          Math.max(size[0], 0.001),
-          Math.max(size[1], 0.001),
-          Math.max(size[2], 0.001)
-        )
+        const { from, to } = element
+        const rotation = elementMatrix(element.rotation)
+        const transform = new THREE.Matrix4()
+        if (blockMatrix) transform.multiply(blockMatrix)
+        if (rotation) transform.multiply(rotation)
+        normalMatrix.getNormalMatrix(transform)
 
-        // Position relative to block origin
-        const position = [
-          from[0] + size[0] / 2,
-          from[1] + size[1] / 2,
-          from[2] + size[2] / 2
-        ]
-        
-        geometry.translate(...position)
-
-        // Handle rotations
-        if (element.rotation) {
-          const { origin, angle, axis } = element.rotation
-          
-          if (origin && origin.length === 3) {
-            // Model loader already scaled rotation origin
-            const rotOrigin = origin
-            
-            geometry.translate(
-              -rotOrigin[0],
-              -rotOrigin[1],
-              -rotOrigin[2]
-            )
-            
-            const rotAngle = angle * Math.PI / 180
-            const rotMatrix = new THREE.Matrix4()
-            
-            switch (axis) {
-              case 'x': rotMatrix.makeRotationX(rotAngle); break
-              case 'y': rotMatrix.makeRotationY(rotAngle); break
-              case 'z': rotMatrix.makeRotationZ(rotAngle); break
-            }
-            
-            geometry.applyMatrix4(rotMatrix)
-            
-            geometry.translate(
-              rotOrigin[0],
-              rotOrigin[1],
-              rotOrigin[2]
-            )
-          }
-        }
+        for (const [faceName, faceData] of Object.entries(element.faces)) {
+          const face = FACES[faceName]
+          if (!face || !faceData) continue
 
-        // UV mapping
-        if (element.faces) {
-          const faceMap = {
-            east:  0,
-            west:  1,
-            up:    2,
-            down:  3,
-            south: 4,
-            north: 5
+          // Cullface is in model space and turns with the variant rotation
+          if (culledFaces?.size && FACES[faceData.cullface]) {
+            normal.fromArray(FACES[faceData.cullface].normal).applyMatrix3(blockNormalMatrix)
+            if (culledFaces.has(faceFromNormal(normal))) continue
           }
 
-          const uvAttribute = geometry.attributes.uv
-          
-          for (const [faceName, faceData] of Object.entries(element.faces)) {
-            if (!faceData?.uv || faceData.uv.length !== 4 || 
-                !(faceName in faceMap)) {
-              continue
-            }
+          normal.fromArray(face.normal).applyMatrix3(normalMatrix).normalize()
+          const worldFace = faceFromNormal(normal)
 
-            const faceIndex = faceMap[faceName]
-            const baseIndex = faceIndex * 8
-            
-            // Model loader already scaled UVs
-            const uv = faceData.uv
-            
-            if (faceData.rotation) {
-              const rad = (faceData.rotation * Math.PI) / 180
-              const center = [
-                (uv[0] + uv[2]) / 2,
-                (uv[1] + uv[3]) / 2
-              ]
-              
-              const rotatePoint = (u, v) => {
-                const du = u - center[0]
-                const dv = v - center[1]
-                const cos = Math.cos(rad)
-                const sin = Math.sin(rad)
-                return [
-                  center[0] + du * cos - dv * sin,
-                  center[1] + du * sin + dv * cos
-                ]
-              }
+          // Model loader already scaled face uvs to 0-1
+          const uv = faceData.uv?.length === 4
+            ? faceData.uv
+            : defaultFaceUv(faceName, from, to).map(v => v / 16)
+
+          const region = this.textureRegion(faceData.texture)
+
+          // Face rotation turns the texture in 90 degree steps
+          const cos = Math.cos((faceData.rotation || 0) * DEG)
+          const sin = -Math.sin((faceData.rotation || 0) * DEG)
+
+          const baseIndex = positions.length / 3
+          for (const [px, py, pz, pu, pv] of face.corners) {
+            point.set(
+              px ? to[0] : from[0],
+              py ? to[1] : from[1],
+              pz ? to[2] : from[2]
+            ).applyMatrix4(transform)
 
-              const uv1 = rotatePoint(uv[0], uv[1])
-              const uv2 = rotatePoint(uv[2], uv[1])
-              const uv3 = rotatePoint(uv[0], uv[3])
-              const uv4 = rotatePoint(uv[2], uv[3])
-
-              uvAttribute.array[baseIndex    ] = uv1[0]
-              uvAttribute.array[baseIndex + 1] = uv1[1]
-              uvAttribute.array[baseIndex + 2] = uv2[0]
-              uvAttribute.array[baseIndex + 3] = uv2[1]
-              uvAttribute.array[baseIndex + 4] = uv3[0]
-              uvAttribute.array[baseIndex + 5] = uv3[1]
-              uvAttribute.array[baseIndex + 6] = uv4[0]
-              uvAttribute.array[baseIndex + 7] = uv4[1]
+            positions.push(point.x / 16, point.y / 16, point.z / 16)
+            normals.push(normal.x, normal.y, normal.z)
+
+            let u
+            let v
+            if (model.uvlock) {
+              [u, v] = lockedUv(worldFace, point.toArray()).map(value => value / 16)
             } else {
-              uvAttribute.array[baseIndex    ] = uv[0]
-              uvAttribute.array[baseIndex + 1] = uv[1]
-              uvAttribute.array[baseIndex + 2] = uv[2]
-              uvAttribute.array[baseIndex + 3] = uv[1]
-              uvAttribute.array[baseIndex + 4] = uv[0]
-              uvAttribute.array[baseIndex + 5] = uv[3]
-              uvAttribute.array[baseIndex + 6] = uv[2]
-              uvAttribute.array[baseIndex + 7] = uv[3]
+              const s = (pu - 0.5) * cos - (pv - 0.5) * sin + 0.5
+              const t = (pu - 0.5) * sin + (pv - 0.5) * cos + 0.5
+              u = uv[0] + s * (uv[2] - uv[0])
+              v = uv[1] + t * (uv[3] - uv[1])
             }
-          }
 
-          uvAttribute.needsUpdate = true
-        }
+            // Texture uv (0-1) to the face texture's place in the atlas
+            uvs.push(region.x + u * region.width, region.y + v * region.height)
 
-        geometry.computeBoundingSphere()
-        geometries.push(geometry)
+            if (colors) {
+              if (faceData.tintindex !== undefined) {
+                colors.push(tintColor.r, tintColor.g, tintColor.b)
+              } else {
+                colors.push(1, 1, 1)
+              }
+            }
+          }
 
+          indices.push(
+            baseIndex, baseIndex + 1, baseIndex + 2,
+            baseIndex + 2, baseIndex + 1, baseIndex + 3
+          )
+        }
       } catch (error) {
-        console.warn('Error processing element:', error)
+        this.logger.warn('Error processing element:', error)
         continue
       }
     }
 
-    try {
-      if (geometries.length === 0) {
-        return this.defaultGeometry.clone()
-      } else if (geometries.length === 1) {
-        return geometries[0]
-      } else {
-        const mergedGeometry = mergeGeometries(geometries, false)
-        geometries.forEach(g => g.dispose())
-        return mergedGeometry || this.defaultGeometry.clone()
+    if (indices.length === 0) {
+      // Every face was culled; an empty geometry keeps the block invisible
+      if (culledFaces?.size) return emptyGeometry(!!colors)
+      const geometry = this.fallbackGeometry(model)
+      return colors ? addWhiteColors(geometry) : geometry
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3))
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2))
+    if (colors) geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3))
+    geometry.setIndex(indices)
+    geometry.computeBoundingSphere()
+    return geometry
+  }
+
+  // Geometry for merged quads from GreedyMesher, in world block units. Their
+  // texture repeats once per block, so uvs run from 0 to the quad's size.
+  createQuadGeometry(quads) {
+    const positions = []
+    const normals = []
+    const uvs = []
+    const indices = []
+
+    for (const { face: faceName, from, to, repeat } of quads) {
+      const face = FACES[faceName]
+      if (!face) continue
+
+      const baseIndex = positions.length / 3
+      for (const [px, py, pz, pu, pv] of face.corners) {
+        positions.push(
+          px ? to[0] : from[0],
+          py ? to[1] : from[1],
+          pz ? to[2] : from[2]
+        )
+        normals.push(...face.normal)
+        uvs.push(pu * repeat[0], pv * repeat[1])
       }
+
+      indices.push(
+        baseIndex, baseIndex + 1, baseIndex + 2,
+        baseIndex + 2, baseIndex + 1, baseIndex + 3
+      )
+    }
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3))
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2))
+    geometry.setIndex(indices)
+    geometry.computeBoundingSphere()
+    return geometry
+  }
+
+  // Multipart models: each part is built with its own rotation, then merged
+  createGeometryFromParts(parts, culledFaces = null, tint = null) {
+    const geometries = parts.map(part => this.createGeometryFromModel(part, culledFaces, tint))
+    if (geometries.length === 1) return geometries[0]
+
+    try {
+      const merged = mergeGeometries(geometries, false)
+      geometries.forEach(geometry => geometry.dispose())
+      return merged || this.fallbackGeometry()
     } catch (error) {
-      console.warn('Error merging geometries:', error)
-      return this.defaultGeometry.clone()
+      this.logger.warn('Error merging geometries:', error)
+      return this.fallbackGeometry()
     }
   }
 
@@ -212,7 +398,7 @@ class BlockModelRenderer {
       return new THREE.Mesh(geometry, material)
 
     } catch (error) {
-      console.warn('Error creating block mesh:', error)
+      this.logger.warn('Error creating block mesh:', error)
       return null
     }
   }
@@ -0,0 +1,72 @@
+// Parse a block state string such as
+// "minecraft:oak_stairs[facing=east,half=bottom]" into name and properties
+const parseBlockString = (value) => {
+  const match = /^([^[]+)(?:\[(.*)\])?$/.exec(value.trim())
+  if (!match) return { name: value, properties: {} }
+
+  const properties = {}
+  for (const pair of (match[2] || '').split(',')) {
+    if (!pair) continue
+    const [key, propertyValue] = pair.split('=')
+    properties[key.trim()] = propertyValue?.trim()
+  }
+  return { name: match[1], properties }
+}
+
+// Turns block names and properties read from a file into VoxelGrid states for
+// one Minecraft version. Air and blocks the version does not know resolve to
+// 0 (air); unknown names are collected for the conversion report.
+class BlockStateResolver {
+  constructor(grid, { Block, mcData }) {
+    this.grid = grid
+    this.Block = Block
+    this.mcData = mcData
+    this.cache = new Map()
+    this.unknownBlocks = new Set()
+  }
+
+  resolve(name, properties = {}) {
+    const fullName = name.includes(':') ? name : `minecraft:${name}`
+    const key = `${fullName}[${Object.entries(properties).sort().join(',')}]`
+    if (this.cache.has(key)) return this.cache.get(key)
+
+    const index = this.createState(fullName, properties)
+    this.cache.set(key, index)
+    return index
+  }
+
+  // Same as resolve(), for a block state string (see parseBlockString)
+  resolveString(value) {
+    const { name, properties } = parseBlockString(value)
+    return this.resolve(name, properties)
+  }
+
+  createState(fullName, properties) {
+    const [namespace, blockName] = fullName.split(':')
+    if (namespace === 'minecraft' && ['air', 'cave_air', 'void_air'].includes(blockName)) return 0
+
+    const blockRef = namespace === 'minecraft' && this.mcData.blocksByName[blockName]
+    if (!blockRef) {
+      this.unknownBlocks.add(fullName)
+      return 0
+    }
+
+    // prismarine-block fills in properties the file leaves out and types the
+    // rest (booleans, numbers). Values it does not know are kept as they are.
+    let resolvedProperties = properties
+    try {
+      resolvedProperties = this.Block.fromProperties(blockRef.id, properties, 1).getProperties()
+    } catch (error) {
+      // Leave the properties from the file
+    }
+
+    return this.grid.addState({
+      type: blockRef.id,
+      name: blockRef.name,
+      properties: resolvedProperties
+    })
+  }
+}
+
+export { parseBlockString }
+export default BlockStateResolver
@@ -0,0 +1,414 @@
+import path from 'path'
+import { promises as fs } from 'fs'
+import {
+  DEFAULT_VERSION,
+  FORMATS,
+  OUTPUT_EXTENSIONS,
+  checkOptions,
+  convertStructure,
+  convertWorld,
+  writeOutput
+} from './converter.js'
+import { PREVIEW_CAMERAS, PREVIEW_DEFAULTS, TURNTABLE_DEFAULTS, previewSettings, turntableSettings } from './preview.js'
+import logger from './logger.js'
+
+const EXIT_OK = 0
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+
+const DEFAULT_OUTPUT_DIR = 'gltf_out'
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+const usage = () => `Usage: node index.js [options] <input...>
+       node index.js [options] --world <dir> --min <x,y,z> --max <x,y,z>
+
+Convert Minecraft structure files to glTF. Inputs may be structure block
+files (.nbt), WorldEdit Sponge schematics (.schem), Litematica schematics
+(.litematic), pre-1.13 MCEdit schematics (.schematic) or Bedrock structures
+(.mcstructure). With --world, the blocks between two corners of a world save
+(1.13 or later) are converted instead.
+
+Options:
+  -o, --output <path>      Output file (one input) or directory (default: ${DEFAULT_OUTPUT_DIR}/)
+  -m, --mc-version <ver>   Minecraft version for blocks and assets (default: detected
+                           from the file's DataVersion, else ${DEFAULT_VERSION})
+  -f, --format <format>    Output format: ${FORMATS.join(', ')} (default: from the
+                           output extension, else gltf)
+                           separate writes .gltf, .bin and PNG files side by side
+  -s, --scale <number>     Size of one block in output units (default: 1)
+  -g, --greedy             Merge faces of plain full cubes into larger quads
+      --split-regions      Export each region of a .litematic as its own node
+      --ao                 Bake ambient occlusion into vertex colors
+      --light              Bake block light and sky light into vertex colors
+      --sky-light <level>  Sky brightness for --light, 0-15 (default: 15; night is about 4)
+      --emissive-levels    Make light sources glow by light level, not all at full strength
+      --palette <index>    Palette of a structure with several palettes (default: 0)
+      --palette-seed <n>   Pick one of those palettes at random from this seed
+      --biome <name>       Biome coloring grass, leaves and water (default: plains)
+      --temperature <n>    Temperature for the grass and foliage colors, instead of the biome's
+      --downfall <n>       Downfall for the grass and foliage colors, instead of the biome's
+      --preview            Also render a PNG preview next to each output file
+      --turntable <n>      Also render n angles around the structure plus top, front and
+                           side views, as PNG frames and one sprite sheet
+      --sheet-columns <n>  Frames per row of the sprite sheet (default: n, with the
+                           views on a second row)
+      --preview-size <WxH> Preview or frame size in pixels (default: ${PREVIEW_DEFAULTS.width}x${PREVIEW_DEFAULTS.height},
+                           ${TURNTABLE_DEFAULTS.width}x${TURNTABLE_DEFAULTS.height} for turntable frames)
+      --preview-camera <c> Camera: ${PREVIEW_CAMERAS.join(', ')} (default: ${PREVIEW_DEFAULTS.camera})
+      --background <color> Background: hex color, CSS name or transparent
+                           (default: ${PREVIEW_DEFAULTS.background})
+      --world <dir>        Convert part of a world save instead of input files
+      --min <x,y,z>        One corner of the world area (block coordinates)
+      --max <x,y,z>        The opposite corner of the world area (inclusive)
+  -v, --verbose            Print debug output
+  -q, --quiet              Only print errors
+  -h, --help               Show this help
+
+Exit codes:
+  ${EXIT_OK}  all inputs converted
+  ${EXIT_FAILURE}  one or more inputs failed to convert
+  ${EXIT_USAGE}  invalid arguments`
+
+// Options that take a value, keyed by every spelling accepted on the command line
+const VALUE_OPTIONS = {
+  '-o': 'output',
+  '--output': 'output',
+  '-m': 'version',
+  '--mc-version': 'version',
+  '-f': 'format',
+  '--format': 'format',
+  '-s': 'scale',
+  '--scale': 'scale',
+  '--world': 'world',
+  '--min': 'min',
+  '--max': 'max',
+  '--palette': 'palette',
+  '--palette-seed': 'paletteSeed',
+  '--biome': 'biome',
+  '--temperature': 'temperature',
+  '--downfall': 'downfall',
+  '--sky-light': 'skyLight',
+  '--turntable': 'turntable',
+  '--sheet-columns': 'sheetColumns',
+  '--preview-size': 'previewSize',
+  '--preview-camera': 'previewCamera',
+  '--background': 'background'
+}
+
+const FLAG_OPTIONS = {
+  '-g': 'greedy',
+  '--greedy': 'greedy',
+  '--split-regions': 'splitRegions',
+  '--ao': 'ambientOcclusion',
+  '--light': 'light',
+  '--emissive-levels': 'emissiveLevels',
+  '--preview': 'preview',
+  '-v': 'verbose',
+  '--verbose': 'verbose',
+  '-q': 'quiet',
+  '--quiet': 'quiet',
+  '-h': 'help',
+  '--help': 'help'
+}
+
+// "x,y,z" block coordinates, as given to --min and --max
+const parseCoordinates = (value, option) => {
+  const parts = value.split(',').map(part => Number(part.trim()))
+  if (parts.length !== 3 || !parts.every(Number.isInteger)) {
+    throw new UsageError(`${option} expects integer coordinates as x,y,z, got: ${value}`)
+  }
+  const [x, y, z] = parts
+  return { x, y, z }
+}
+
+// Numeric option values. Text that is not a number is kept as given, so the
+// error from checkOptions quotes it.
+const parseNumber = (value) => {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  return Number.isNaN(number) ? value : number
+}
+
+// "WxH" image size, as given to --preview-size
+const parseSize = (value, option) => {
+  const match = /^(\d+)x(\d+)$/i.exec(value.trim())
+  if (!match) {
+    throw new UsageError(`${option} expects a size as WIDTHxHEIGHT, got: ${value}`)
+  }
+  return { width: Number(match[1]), height: Number(match[2]) }
+}
+
+// Preview and turntable settings from the --preview and --turntable options;
+// each is false when not asked for
+const parseRenders = (raw) => {
+  const styled = ['previewSize', 'previewCamera', 'background'].some(option => raw[option])
+  if (styled && !raw.preview && !raw.turntable) {
+    throw new UsageError('--preview-size, --preview-camera and --background only apply with --preview or --turntable')
+  }
+  if (raw.sheetColumns && !raw.turntable) {
+    throw new UsageError('--sheet-columns only applies with --turntable')
+  }
+
+  const image = raw.previewSize ? parseSize(raw.previewSize, '--preview-size') : {}
+  if (raw.previewCamera) {
+    image.camera = raw.previewCamera.toLowerCase()
+  }
+  if (raw.background) {
+    image.background = raw.background
+  }
+
+  const turntable = { ...image, frames: parseNumber(raw.turntable) }
+  if (raw.sheetColumns) {
+    turntable.columns = parseNumber(raw.sheetColumns)
+  }
+
+  try {
+    return {
+      preview: raw.preview ? previewSettings(image) : false,
+      turntable: raw.turntable ? turntableSettings(turntable) : false
+    }
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+}
+
+const parseArgs = (argv) => {
+  const raw = {}
+  const inputs = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '--') {
+      inputs.push(...argv.slice(i + 1))
+      break
+    }
+
+    // Support --option=value as well as --option value
+    const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined]
+
+    if (name in FLAG_OPTIONS) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option ${name} does not take a value`)
+      }
+      raw[FLAG_OPTIONS[name]] = true
+    } else if (name in VALUE_OPTIONS) {
+      const value = inlineValue ?? argv[++i]
+      if (value === undefined || value === '') {
+        throw new UsageError(`Option ${name} requires a value`)
+      }
+      raw[VALUE_OPTIONS[name]] = value
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option: ${arg}`)
+    } else {
+      inputs.push(arg)
+    }
+  }
+
+  if (raw.help) {
+    return { help: true }
+  }
+
+  if (raw.world) {
+    if (inputs.length > 0) {
+      throw new UsageError('Input files cannot be combined with --world')
+    }
+    if (!raw.min || !raw.max) {
+      throw new UsageError('--world needs both --min and --max')
+    }
+  } else if (raw.min || raw.max) {
+    throw new UsageError('--min and --max only apply with --world')
+  } else if (inputs.length === 0) {
+    throw new UsageError('No input file given')
+  }
+
+  if (raw.verbose && raw.quiet) {
+    throw new UsageError('--verbose and --quiet cannot be used together')
+  }
+
+  // Without --format, an output file ending in .glb asks for binary output
+  const inferredFormat = raw.output && path.extname(raw.output).toLowerCase() === '.glb' ? 'glb' : 'gltf'
+
+  const conversion = {
+    format: (raw.format || inferredFormat).toLowerCase(),
+    scale: parseNumber(raw.scale) ?? 1,
+    palette: parseNumber(raw.palette),
+    paletteSeed: parseNumber(raw.paletteSeed),
+    skyLight: parseNumber(raw.skyLight),
+    biome: raw.biome,
+    temperature: parseNumber(raw.temperature),
+    downfall: parseNumber(raw.downfall),
+    ...parseRenders(raw)
+  }
+  try {
+    checkOptions(conversion)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+
+  return {
+    help: false,
+    inputs,
+    world: raw.world || null,
+    min: raw.min ? parseCoordinates(raw.min, '--min') : null,
+    max: raw.max ? parseCoordinates(raw.max, '--max') : null,
+    output: raw.output || null,
+    version: raw.version || null,
+    ...conversion,
+    greedy: !!raw.greedy,
+    splitRegions: !!raw.splitRegions,
+    ambientOcclusion: !!raw.ambientOcclusion,
+    light: !!raw.light,
+    emissiveLevels: !!raw.emissiveLevels,
+    logLevel: raw.verbose ? 'debug' : raw.quiet ? 'error' : 'info'
+  }
+}
+
+// Rendered images are written next to the output file, named after it
+const previewPath = (outputPath, suffix = '') => path.join(
+  path.dirname(outputPath),
+  `${path.basename(outputPath, path.extname(outputPath))}${suffix}.png`
+)
+
+// Works out where a converted input goes. A single input may name the output
+// file directly; otherwise the output is treated as a directory.
+const resolveOutputPath = (input, { output, format, isDirectory }) => {
+  const fileName = `${path.basename(input, path.extname(input))}.${OUTPUT_EXTENSIONS[format]}`
+
+  if (!output) {
+    return path.join(DEFAULT_OUTPUT_DIR, fileName)
+  }
+
+  if (isDirectory || output.endsWith('/') || output.endsWith(path.sep)) {
+    return path.join(output, fileName)
+  }
+
+  return output
+}
+
+const runCli = async (argv) => {
+  let args
+  try {
+    args = parseArgs(argv)
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error
+    console.error(`Error: ${error.message}\n`)
+    console.error(usage())
+    return EXIT_USAGE
+  }
+
+  if (args.help) {
+    console.log(usage())
+    return EXIT_OK
+  }
+
+  logger.setLevel(args.logLevel)
+
+  const conversionOptions = {
+    version: args.version || undefined,
+    format: args.format,
+    scale: args.scale,
+    greedy: args.greedy,
+    splitRegions: args.splitRegions,
+    ambientOcclusion: args.ambientOcclusion,
+    light: args.light,
+    skyLight: args.skyLight,
+    emissiveLevels: args.emissiveLevels,
+    palette: args.palette,
+    paletteSeed: args.paletteSeed,
+    biome: args.biome,
+    temperature: args.temperature,
+    downfall: args.downfall,
+    preview: args.preview,
+    turntable: args.turntable,
+    logger
+  }
+
+  // Write one conversion's files and report where they went
+  const writeResult = async ({ gltf, resources, preview, turntable }, outputPath) => {
+    await writeOutput(gltf, outputPath, resources)
+    logger.info(`Successfully exported to: ${outputPath}`)
+    if (preview) {
+      await fs.writeFile(previewPath(outputPath), preview)
+      logger.info(`Preview saved to: ${previewPath(outputPath)}`)
+    }
+    if (turntable) {
+      for (const frame of turntable.frames) {
+        await fs.writeFile(previewPath(outputPath, `_${frame.name}`), frame.image)
+      }
+      await fs.writeFile(previewPath(outputPath, '_sheet'), turntable.sheet)
+      logger.info(`${turntable.frames.length} frames and sprite sheet saved to: ${previewPath(outputPath, '_sheet')}`)
+    }
+  }
+
+  const outputIsDirectory = args.output !== null &&
+    await fs.stat(args.output).then(stat => stat.isDirectory(), () => false)
+
+  if (args.world) {
+    const outputPath = resolveOutputPath(path.resolve(args.world), { ...args, isDirectory: outputIsDirectory })
+    try {
+      logger.info(`Reading world ${args.world}...`)
+      const result = await convertWorld(args.world, {
+        ...conversionOptions,
+        min: args.min,
+        max: args.max
+      })
+      logger.debug('Conversion report:', result.report)
+
+      await writeResult(result, outputPath)
+      return EXIT_OK
+    } catch (error) {
+      logger.error(`Failed to convert world ${args.world}:`, error.message)
+      logger.debug(error.stack)
+      return EXIT_FAILURE
+    }
+  }
+
+  // Several inputs always go into a directory, one file each
+  const isDirectory = args.inputs.length > 1 || outputIsDirectory
+
+  let failures = 0
+  for (const input of args.inputs) {
+    const outputPath = resolveOutputPath(input, { ...args, isDirectory })
+    try {
+      logger.info(`Reading ${input}...`)
+      const buffer = await fs.readFile(input)
+
+      const result = await convertStructure(buffer, {
+        ...conversionOptions,
+        name: path.basename(input, path.extname(input))
+      })
+      logger.debug('Conversion report:', result.report)
+
+      await writeResult(result, outputPath)
+    } catch (error) {
+      failures++
+      logger.error(`Failed to convert ${input}:`, error.message)
+      logger.debug(error.stack)
+    }
+  }
+
+  return failures > 0 ? EXIT_FAILURE : EXIT_OK
+}
+
+export {
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  UsageError,
+  usage,
+  parseArgs,
+  parseCoordinates,
+  parseSize,
+  previewPath,
+  resolveOutputPath,
+  runCli
+}
@@ -0,0 +1,810 @@
+import * as THREE from 'three'
+import { createCanvas, ImageData } from 'canvas'
+import { loadImage } from 'node-canvas-webgl/lib/index.js'
+import { promises as fs } from 'fs'
+import { Vec3 } from 'vec3'
+import { parse } from 'prismarine-nbt'
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import mcAssets from 'minecraft-assets'
+import path from 'path'
+import { Blob, FileReader } from 'vblob'
+import EnhancedWorldView from './enhancedworldview.js'
+import structureReader from './structurereader.js'
+import schemReader from './schemreader.js'
+import litematicReader from './litematicreader.js'
+import schematicReader from './schematicreader.js'
+import mcstructureReader from './mcstructurereader.js'
+import { assetsVersionFor, versionForDataVersion } from './versions.js'
+import { createWorldSource } from './anvilreader.js'
+import TintResolver, { BIOMES } from './tintresolver.js'
+import { previewSettings, renderPreview, renderTurntable, turntableSettings } from './preview.js'
+import { Logger } from './logger.js'
+
+const DEFAULT_VERSION = '1.20.2'
+const FORMATS = ['gltf', 'glb', 'separate']
+
+// File extension of the main output file for each format
+const OUTPUT_EXTENSIONS = {
+  gltf: 'gltf',
+  glb: 'glb',
+  separate: 'gltf'
+}
+const VIEWPORT = {
+  width: 1024,
+  height: 1024,
+  viewDistance: 8
+}
+
+// GLTFExporter expects a few browser APIs. They are installed only while an
+// export runs, and only where Node does not already provide them, so
+// embedding applications never see them and keep their own globals.
+const exportGlobals = {
+  // vblob's Blob is Node's own when there is one; its reader handles both
+  Blob: () => Blob,
+  FileReader: () => FileReader,
+  ImageData: () => ImageData,
+  document: () => ({
+    createElement: (type) => {
+      if (type !== 'canvas') throw new Error(`Cannot create node ${type}`)
+
+      // node-canvas has no toBlob, which GLB export uses to embed images
+      const canvas = createCanvas(1, 1)
+      canvas.toBlob = (callback, mimeType = 'image/png') => {
+        callback(new globalThis.Blob([canvas.toBuffer(mimeType)], { type: mimeType }))
+      }
+      return canvas
+    }
+  })
+}
+
+// Exports can overlap in the server, so the globals stay until the last one
+// finishes. Holds the names this module installed.
+let exportsRunning = 0
+let installedGlobals = []
+
+const installExportEnvironment = () => {
+  if (exportsRunning++ === 0) {
+    installedGlobals = Object.keys(exportGlobals).filter(name => typeof globalThis[name] === 'undefined')
+    installedGlobals.forEach(name => { globalThis[name] = exportGlobals[name]() })
+  }
+
+  let restored = false
+  return () => {
+    if (restored) return
+    restored = true
+    if (--exportsRunning === 0) {
+      installedGlobals.forEach(name => { delete globalThis[name] })
+      installedGlobals = []
+    }
+  }
+}
+
+// Setup scene. The structure's bounds, in output units, are kept on the
+// viewer for framing previews.
+const setupScene = (viewer, size, scale = 1) => {
+  viewer.bounds = new THREE.Box3(
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(size.x, size.y, size.z).multiplyScalar(scale)
+  )
+  viewer.scene.background = new THREE.Color('#87CEEB')
+  
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5)
+  viewer.scene.add(ambientLight)
+
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8)
+  directionalLight.position.set(size.x, size.y * 1.5, size.z)
+  directionalLight.castShadow = true
+  
+  directionalLight.shadow.mapSize.width = 2048
+  directionalLight.shadow.mapSize.height = 2048
+  directionalLight.shadow.camera.near = 0.1
+  directionalLight.shadow.camera.far = 500
+  
+  viewer.scene.add(directionalLight)
+
+  const maxDimension = Math.max(size.x, size.y, size.z)
+  const cameraDistance = maxDimension * 2
+  viewer.camera.position.set(
+    size.x / 2 + cameraDistance,
+    size.y / 2 + cameraDistance / 2,
+    size.z / 2 + cameraDistance
+  )
+  viewer.camera.lookAt(size.x / 2, size.y / 2, size.z / 2)
+
+  return viewer
+}
+
+// Export GLTF
+const exportGLTF = (scene, { binary = false } = {}) => {
+  return new Promise((resolve, reject) => {
+    const restore = installExportEnvironment()
+    const timeout = setTimeout(() => {
+      restore()
+      reject(new Error('GLTF export timed out after 30 seconds'))
+    }, 30000)
+
+    try {
+      const exporter = new GLTFExporter()
+      
+      exporter.parse(scene, (result) => {
+        clearTimeout(timeout)
+        restore()
+        // Binary export yields an ArrayBuffer, JSON export a plain object
+        resolve(binary ? Buffer.from(result) : result)
+      }, 
+      (error) => {
+        clearTimeout(timeout)
+        restore()
+        reject(error)
+      },
+      {
+        binary,
+        onlyVisible: true,
+        includeCustomExtensions: true,
+        trs: false,
+        animations: [],
+        extensionsUsed: ['KHR_materials_unlit']
+      })
+    } catch (error) {
+      clearTimeout(timeout)
+      restore()
+      reject(error)
+    }
+  })
+}
+
+// Move the data URIs GLTFExporter embeds into standalone files. Rewrites the
+// uris in place and returns the file contents keyed by file name.
+const externalizeResources = (gltf, name) => {
+  const resources = {}
+  const decode = (uri) => Buffer.from(uri.slice(uri.indexOf(',') + 1), 'base64')
+
+  gltf.buffers?.forEach((buffer, index) => {
+    if (!buffer.uri?.startsWith('data:')) return
+    const fileName = index === 0 ? `${name}.bin` : `${name}_${index}.bin`
+    resources[fileName] = decode(buffer.uri)
+    buffer.uri = encodeURIComponent(fileName)
+  })
+
+  gltf.images?.forEach((image, index) => {
+    if (!image.uri?.startsWith('data:')) return
+    const extension = image.mimeType === 'image/jpeg' ? 'jpg' : 'png'
+    const fileName = `${name}_${index}.${extension}`
+    resources[fileName] = decode(image.uri)
+    image.uri = encodeURIComponent(fileName)
+  })
+
+  return resources
+}
+
+// Initialize Minecraft modules
+const initMinecraftModules = async (version) => {
+  const [worldModule, chunkModule, blockModule, mcDataModule] = await Promise.all([
+    import('prismarine-world'),
+    import('prismarine-chunk'),
+    import('prismarine-block'),
+    import('minecraft-data')
+  ])
+
+  // Initialize mcData with full schema support
+  const mcData = mcDataModule.default(version)
+  if (!mcData) {
+    throw new Error(`Unsupported Minecraft version: ${version}`)
+  }
+  
+  // Load block states from minecraft-data
+  const states = {}
+  
+  // Map each block to its possible states
+  for (const blockId in mcData.blocks) {
+    const block = mcData.blocks[blockId]
+    if (!block) continue
+
+    // Create state entry for each block
+    states[block.id] = {
+      name: block.name,
+      properties: block.variations ? block.variations.reduce((acc, variant) => {
+        acc[variant.displayName] = variant.metadata
+        return acc
+      }, {}) : {},
+      variants: {
+        "normal": {
+          model: {
+            textures: {
+              all: `block/${block.name}`
+            }
+          }
+        }
+      },
+      default: "normal"
+    }
+
+    // Handle blocks with specific faces
+    const faces = ['up', 'down', 'north', 'south', 'east', 'west']
+    if (block.transparent) {
+      states[block.id].variants.normal.model.textures = faces.reduce((acc, face) => {
+        acc[face] = `block/${block.name}`
+        return acc
+      }, {})
+    }
+  }
+
+  // Create an enhanced mcData object with block states
+  const enhancedMcData = {
+    ...mcData,
+    blockStates: states
+  }
+
+  return {
+    World: worldModule.default(version),
+    Chunk: chunkModule.default(version),
+    Block: blockModule.default(version),
+    mcData: enhancedMcData
+  }
+}
+
+// Structure file formats, tried in order against the parsed NBT. Each one
+// reads its file into a VoxelGrid for the shared meshing pipeline.
+const READERS = [structureReader, schemReader, litematicReader, schematicReader, mcstructureReader]
+
+const findReader = (nbt) => {
+  const reader = READERS.find(candidate => candidate.detect(nbt))
+  if (!reader) {
+    throw new Error('Unrecognized structure file: expected a structure .nbt, .schem, .litematic, .schematic or .mcstructure')
+  }
+  return reader
+}
+
+const createTextureAtlas = async (assets, logger) => {
+  try {
+    // Load block and item textures
+    const [blockTexturesData, itemTexturesData, blockTextureFiles] = await Promise.all([
+      fs.readFile(path.join(assets.directory, 'blocks_textures.json'), 'utf8').then(JSON.parse),
+      fs.readFile(path.join(assets.directory, 'items_textures.json'), 'utf8').then(JSON.parse),
+      fs.readdir(path.join(assets.directory, 'blocks'))
+    ])
+
+    const ATLAS_SIZE = 2048
+    const TEXTURE_SIZE = 16
+    
+    const atlasCanvas = createCanvas(ATLAS_SIZE, ATLAS_SIZE)
+    const ctx = atlasCanvas.getContext('2d')
+    ctx.clearRect(0, 0, ATLAS_SIZE, ATLAS_SIZE)
+
+    logger.debug('Sample texture entries:', {
+      blocks: blockTexturesData.slice(0, 3).map(entry => ({
+        name: entry.name,
+        texture: entry.texture,
+        model: entry.model
+      })),
+      items: itemTexturesData.slice(0, 3).map(entry => ({
+        name: entry.name,
+        texture: entry.texture,
+        model: entry.model
+      }))
+    })
+
+    const uvMapping = {}
+    const packedTextures = new Map()
+    let x = 0
+    let y = 0
+    let processedCount = 0
+
+    // Reserve the next free slot, or null once the atlas is full
+    const nextSlot = () => {
+      if (y + TEXTURE_SIZE > ATLAS_SIZE) return null
+      const slot = { x, y }
+      x += TEXTURE_SIZE
+      if (x + TEXTURE_SIZE > ATLAS_SIZE) {
+        x = 0
+        y += TEXTURE_SIZE
+      }
+      return {
+        ...slot,
+        mappingData: {
+          x: slot.x / ATLAS_SIZE,
+          y: slot.y / ATLAS_SIZE,
+          width: TEXTURE_SIZE / ATLAS_SIZE,
+          height: TEXTURE_SIZE / ATLAS_SIZE
+        }
+      }
+    }
+
+    // Draw a texture file into the atlas once and return its region
+    const packTexture = async (texturePath) => {
+      if (packedTextures.has(texturePath)) return packedTextures.get(texturePath)
+
+      const image = await loadImage(texturePath)
+      const slot = nextSlot()
+      if (!slot) {
+        logger.warn('Atlas size exceeded')
+        return null
+      }
+
+      // Animated textures are a vertical strip of frames; use the first one
+      ctx.drawImage(image, 0, 0, image.width, image.width, slot.x, slot.y, TEXTURE_SIZE, TEXTURE_SIZE)
+      packedTextures.set(texturePath, slot.mappingData)
+      processedCount++
+      return slot.mappingData
+    }
+
+    // Vanilla's magenta and black checkerboard for faces whose texture is missing
+    const missingSlot = nextSlot()
+    const half = TEXTURE_SIZE / 2
+    ctx.fillStyle = '#f800f8'
+    ctx.fillRect(missingSlot.x, missingSlot.y, half, half)
+    ctx.fillRect(missingSlot.x + half, missingSlot.y + half, half, half)
+    ctx.fillStyle = '#000000'
+    ctx.fillRect(missingSlot.x + half, missingSlot.y, half, half)
+    ctx.fillRect(missingSlot.x, missingSlot.y + half, half, half)
+    uvMapping.missingno = missingSlot.mappingData
+
+    // Every block texture, keyed by the bare texture name that block model
+    // faces resolve to (e.g. "grass_block_side"), so each face finds its own
+    for (const file of blockTextureFiles.sort()) {
+      if (!file.endsWith('.png')) continue
+      const name = file.slice(0, -'.png'.length)
+      try {
+        const mappingData = await packTexture(path.join(assets.directory, 'blocks', file))
+        if (!mappingData) break
+        uvMapping[name] = mappingData
+        uvMapping[`block/${name}`] = mappingData
+        uvMapping[`minecraft:block/${name}`] = mappingData
+      } catch (error) {
+        logger.warn(`Failed to load block texture ${file}`)
+      }
+    }
+
+    const allTextures = [...blockTexturesData, ...itemTexturesData]
+
+    for (const entry of allTextures) {
+      try {
+        if (!entry.texture || entry.texture === 'null' || entry.name === 'air') {
+          continue
+        }
+
+        // Clean up names and paths
+        const name = entry.name.replace('minecraft:', '')
+        const texture = entry.texture.replace('minecraft:', '')
+        let texturePath
+
+        if (texture.includes('entity/')) {
+          // Entity textures are directly in version directory
+          texturePath = path.join(assets.directory, texture + '.png')
+        } else if (texture.startsWith('item/') || texture.startsWith('items/')) {
+          // Handle item textures
+          const itemName = texture.replace('item/', '').replace('items/', '')
+          texturePath = path.join(assets.directory, 'items', `${itemName}.png`)
+        } else {
+          // Handle block textures
+          const blockName = texture.replace('block/', '').replace('blocks/', '')
+          texturePath = path.join(assets.directory, 'blocks', `${blockName}.png`)
+        }
+
+        try {
+          const mappingData = await packTexture(texturePath)
+          if (!mappingData) break
+
+          // Store multiple variations of the name for better lookup
+          const mappings = new Set([
+            name,                                    // raw name
+            texture,                                 // full texture path
+            texture.split('/').pop(),                // texture name without path
+            `block/${name}`,                         // block prefixed
+            name.replace('block/', ''),              // clean block name
+            texture.replace('block/', '')            // clean texture name
+          ])
+
+          // Add variants for blocks
+          if (!texture.includes('item/') && !texture.includes('entity/')) {
+            mappings.add(`minecraft:block/${name}`)
+            mappings.add(`minecraft:blocks/${name}`)
+          }
+
+          // Store the aliases the texture files above have not claimed: a
+          // block name like oak_log must keep pointing at oak_log.png rather
+          // than the block's listed texture (oak_log_top)
+          for (const mapping of mappings) {
+            if (!(mapping in uvMapping)) {
+              uvMapping[mapping] = mappingData
+            }
+          }
+
+        } catch (error) {
+          logger.warn(`Failed to load texture for ${name} at ${texturePath}`)
+          // Log the full attempted path for debugging
+          logger.debug('Attempted path:', path.resolve(texturePath))
+        }
+      } catch (error) {
+        logger.warn('Failed to process texture entry:', error)
+      }
+    }
+
+    // Debug output for specific blocks
+    const blocksToCheck = ['granite', 'stone_bricks', 'oak_planks', 'glass_pane', 'dirt', 
+                          'dark_oak_stairs', 'grass_block', 'lantern', 'crafting_table', 
+                          'furnace', 'red_bed']
+    
+    logger.debug('Checking problematic blocks:', blocksToCheck.map(name => ({
+      name,
+      hasMapping: name in uvMapping,
+      mappingVariants: Object.keys(uvMapping).filter(key => 
+        key.includes(name) || key.endsWith(`/${name}`)
+      )
+    })))
+
+    logger.debug('Texture processing complete:', {
+      processedCount,
+      mappingCount: Object.keys(uvMapping).length
+    })
+
+    // Create Three.js texture
+    const textureAtlas = new THREE.CanvasTexture(atlasCanvas)
+    textureAtlas.magFilter = THREE.NearestFilter
+    textureAtlas.minFilter = THREE.NearestFilter
+    textureAtlas.generateMipmaps = false
+    textureAtlas.anisotropy = 1
+    textureAtlas.flipY = false
+    textureAtlas.needsUpdate = true
+
+    textureAtlas.userData = {
+      uvMapping,
+      textureSize: TEXTURE_SIZE,
+      atlasSize: { width: ATLAS_SIZE, height: ATLAS_SIZE }
+    }
+
+    return {
+      atlas: textureAtlas,
+      uvMapping,
+      textureSize: TEXTURE_SIZE
+    }
+
+  } catch (error) {
+    logger.error('Error in texture atlas creation:', error)
+    throw error
+  }
+}
+
+
+// RGBA pixels of the grass and foliage colormaps (256x256), null where the
+// assets have none
+const loadColormaps = async (assets, logger) => {
+  const colormaps = {}
+  for (const name of ['grass', 'foliage']) {
+    try {
+      const image = await loadImage(path.join(assets.directory, 'colormap', `${name}.png`))
+      const canvas = createCanvas(image.width, image.height)
+      const ctx = canvas.getContext('2d')
+      ctx.drawImage(image, 0, 0)
+      colormaps[name] = ctx.getImageData(0, 0, image.width, image.height).data
+    } catch (error) {
+      logger.warn(`No ${name} colormap, using the default ${name} color`)
+      colormaps[name] = null
+    }
+  }
+  return colormaps
+}
+
+// Version-wide resources are expensive to build and never change, so they are
+// shared by every conversion in the process
+const resourceCache = new Map()
+
+const loadResources = (version, logger) => {
+  if (!resourceCache.has(version)) {
+    const pending = (async () => {
+      logger.info('Initializing Minecraft modules...')
+      const mcModules = await initMinecraftModules(version)
+
+      const assetsVersion = assetsVersionFor(version)
+      const assets = assetsVersion && mcAssets(assetsVersion)
+      if (!assets) {
+        throw new Error(`No assets available for Minecraft version ${version}`)
+      }
+      if (assetsVersion !== version) {
+        logger.info(`Using ${assetsVersion} textures and models for ${version}`)
+      }
+      const { atlas, uvMapping } = await createTextureAtlas(assets, logger)
+      const colormaps = await loadColormaps(assets, logger)
+
+      return { mcModules, assets, atlas, uvMapping, colormaps }
+    })()
+
+    // Let a failed load be retried by the next call
+    pending.catch(() => resourceCache.delete(version))
+    resourceCache.set(version, pending)
+  }
+
+  return resourceCache.get(version)
+}
+
+/**
+ * Check conversion options before any work is done. The CLI and the server
+ * only turn their text into numbers and leave the checks to this.
+ *
+ * @param {object} options - The options of convertStructure
+ * @throws {Error} Naming the first option that is out of range
+ */
+const checkOptions = ({ format = 'gltf', scale = 1, palette, paletteSeed, biome, temperature, downfall, skyLight, preview, turntable }) => {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format: ${format} (expected one of ${FORMATS.join(', ')})`)
+  }
+  if (!Number.isFinite(scale) || scale <= 0) {
+    throw new Error(`Scale must be a positive number, got: ${scale}`)
+  }
+  if (palette !== undefined && !(Number.isInteger(palette) && palette >= 0)) {
+    throw new Error(`Palette must be a non-negative integer, got: ${palette}`)
+  }
+  if (paletteSeed !== undefined && !Number.isInteger(paletteSeed)) {
+    throw new Error(`Palette seed must be an integer, got: ${paletteSeed}`)
+  }
+  if (palette !== undefined && paletteSeed !== undefined) {
+    throw new Error('Give either a palette or a palette seed, not both')
+  }
+  if (biome !== undefined && !(String(biome).replace('minecraft:', '') in BIOMES)) {
+    throw new Error(`Unknown biome: ${biome}`)
+  }
+  if (skyLight !== undefined && !(Number.isInteger(skyLight) && skyLight >= 0 && skyLight <= 15)) {
+    throw new Error(`Sky light must be an integer from 0 to 15, got: ${skyLight}`)
+  }
+  for (const [option, value] of Object.entries({ temperature, downfall })) {
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`${option[0].toUpperCase()}${option.slice(1)} must be a number, got: ${value}`)
+    }
+  }
+  previewSettings(preview)
+  turntableSettings(turntable)
+}
+
+// The pipeline every input shares. A source is { format, dataVersion(),
+// read(mcModules) }, where read returns the blocks as a VoxelGrid, plus the
+// regions of the input and the palette chosen where the input has those.
+const convertSource = async (source, options, startTime) => {
+  const {
+    format = 'gltf',
+    scale = 1,
+    greedy = false,
+    splitRegions = false,
+    emissiveLevels = false,
+    ambientOcclusion = false,
+    light = false,
+    skyLight = 15,
+    name = 'structure',
+    logger = new Logger('warn')
+  } = options
+
+  logger.debug(`Reading ${source.format} input`)
+
+  // Files record the game version that saved them as DataVersion
+  const dataVersion = await source.dataVersion()
+  const version = options.version || versionForDataVersion(dataVersion) || DEFAULT_VERSION
+  logger.info(options.version
+    ? `Using Minecraft ${version}`
+    : `Using Minecraft ${version} (DataVersion ${dataVersion ?? 'missing'})`)
+
+  const { mcModules, assets, atlas, uvMapping, colormaps } = await loadResources(version, logger)
+  const tints = new TintResolver(colormaps, options)
+
+  const { grid, unknownBlocks, regions = [], palette = null } = await source.read(mcModules)
+  const { size, blockCount } = grid
+  logger.info('NBT data processed. Structure size:', size)
+  if (palette) {
+    logger.info(`Using palette ${palette.index} of ${palette.count}`)
+  }
+  if (unknownBlocks.length > 0) {
+    logger.warn('Skipped blocks unknown to this version:', unknownBlocks)
+  }
+
+  const viewer = {
+    scene: new THREE.Scene(),
+    camera: new THREE.PerspectiveCamera(75, VIEWPORT.width / VIEWPORT.height, 0.1, 1000)
+  }
+  setupScene(viewer, size, scale)
+
+  // Block meshes live under one root so scale applies to the whole structure
+  const root = new THREE.Group()
+  root.name = name
+  root.scale.setScalar(scale)
+  viewer.scene.add(root)
+
+  const center = new Vec3(
+    Math.floor(size.x / 2),
+    Math.floor(size.y / 2),
+    Math.floor(size.z / 2)
+  )
+
+  const worldView = new EnhancedWorldView(
+    grid,
+    VIEWPORT.viewDistance,
+    center,
+    root,
+    mcModules.mcData,
+    { logger, greedy, tints, emissiveLevels, ambientOcclusion, light, skyLight }
+  )
+
+  logger.debug('Initializing worker...')
+  await worldView.worker.initialize(assets.directory)
+  worldView.worker.setAtlas(atlas, uvMapping)
+  await worldView.init(center)
+
+  if (greedy && (ambientOcclusion || light)) {
+    logger.warn('Greedy meshing is skipped when baking ambient occlusion or light')
+  }
+
+  logger.info('Generating meshes...')
+  let meshCount = 0
+  if (splitRegions && regions.length > 0) {
+    for (const region of regions) {
+      const group = new THREE.Group()
+      group.name = region.name
+      root.add(group)
+      meshCount += await worldView.generateMeshes({ bounds: region.bounds, scene: group, id: region.name })
+    }
+  } else {
+    meshCount = await worldView.generateMeshes()
+  }
+  logger.debug('Meshes generated:', meshCount)
+
+  const gltf = await exportGLTF(viewer.scene, { binary: format === 'glb' })
+  const resources = format === 'separate' ? externalizeResources(gltf, name) : {}
+
+  const preview = previewSettings(options.preview)
+  let previewImage = null
+  if (preview) {
+    logger.info(`Rendering ${preview.width}x${preview.height} ${preview.camera} preview...`)
+    previewImage = await renderPreview(viewer.scene, viewer.bounds, preview)
+  }
+
+  const turntable = turntableSettings(options.turntable)
+  let turntableImages = null
+  if (turntable) {
+    logger.info(`Rendering ${turntable.frames} turntable frames${turntable.views ? ' and top, front and side views' : ''}...`)
+    turntableImages = await renderTurntable(viewer.scene, viewer.bounds, turntable)
+  }
+
+  return {
+    gltf,
+    resources,
+    preview: previewImage,
+    turntable: turntableImages,
+    report: {
+      inputFormat: source.format,
+      version,
+      dataVersion,
+      format,
+      greedy: greedy && !ambientOcclusion && !light,
+      ambientOcclusion,
+      light: light ? { skyLight } : null,
+      size,
+      regions: regions.map(region => region.name),
+      palette,
+      biome: { name: tints.biome, temperature: tints.temperature, downfall: tints.downfall },
+      preview,
+      turntable: turntable && {
+        ...turntable,
+        // Where each frame sits on the sprite sheet
+        sheetFrames: turntableImages.frames.map(({ name, x, y }) => ({ name, x, y }))
+      },
+      blockCount,
+      meshCount,
+      unknownBlocks,
+      durationMs: Date.now() - startTime
+    }
+  }
+}
+
+/**
+ * Convert a structure file to glTF.
+ *
+ * @param {Buffer} buffer - Contents of a structure .nbt, Sponge .schem, .litematic, legacy
+ *   MCEdit .schematic or Bedrock .mcstructure file (gzipped or not); the format is
+ *   detected from the contents
+ * @param {object} [options]
+ * @param {string} [options.version] - Minecraft version for blocks and assets. By default
+ *   it is detected from the file's DataVersion, falling back to 1.20.2
+ * @param {string} [options.format='gltf'] - 'gltf' (embedded data), 'glb' (binary), or
+ *   'separate' (.gltf referencing a .bin and PNG files returned as resources)
+ * @param {number} [options.scale=1] - Size of one block in output units
+ * @param {boolean} [options.greedy=false] - Merge coplanar faces of plain full cubes into
+ *   larger quads, with a repeating texture per material
+ * @param {boolean} [options.splitRegions=false] - Export each region of a .litematic as
+ *   its own node, named after the region
+ * @param {number} [options.palette] - For structures with several alternative palettes
+ *   (a `palettes` list, as in shipwrecks): the index of the palette to use. Defaults to 0
+ * @param {number} [options.paletteSeed] - Pick one of those palettes at random from this
+ *   integer seed instead; the same seed always picks the same palette
+ * @param {boolean} [options.ambientOcclusion=false] - Darken vertices in corners and
+ *   crevices through vertex colors, like the game's smooth lighting. Blocks no longer share
+ *   geometry, so files get larger, and greedy meshing is skipped
+ * @param {boolean} [options.light=false] - Bake block light and sky light into vertex
+ *   colors, spread through the structure as in the game. Same costs as ambientOcclusion
+ * @param {number} [options.skyLight=15] - Brightness of the sky (0-15) for baked light:
+ *   15 for daytime, around 4 for night
+ * @param {boolean} [options.emissiveLevels=false] - Make light sources glow in proportion
+ *   to their light level instead of all at full strength
+ * @param {string} [options.biome='plains'] - Biome whose grass, foliage and water colors
+ *   tint grass, leaves, vines and water
+ * @param {number} [options.temperature] - Climate for the grass and foliage colormaps in
+ *   place of the biome's own
+ * @param {number} [options.downfall] - See temperature
+ * @param {boolean|object} [options.preview=false] - Also render a PNG preview of the
+ *   structure: true for the defaults, or an object with any of:
+ * @param {number} [options.preview.width=512] - Image width in pixels
+ * @param {number} [options.preview.height=512] - Image height in pixels
+ * @param {string} [options.preview.camera='isometric'] - 'isometric' or 'perspective'
+ * @param {string} [options.preview.background='#87CEEB'] - Hex color, CSS color name or
+ *   'transparent'
+ * @param {boolean|number|object} [options.turntable=false] - Also render the structure
+ *   from evenly spaced angles around it, plus straight top, front and side views, for
+ *   spinning previews: true for the defaults, a number of angles, or an object with any of:
+ * @param {number} [options.turntable.frames=8] - Number of angles
+ * @param {boolean} [options.turntable.views=true] - Include the top, front and side views
+ * @param {number} [options.turntable.columns] - Frames per row of the sprite sheet;
+ *   defaults to one row for the angles, with the views starting on the next
+ * @param {number} [options.turntable.width=256] - Frame width in pixels; height, camera
+ *   and background as for preview
+ * @param {string} [options.name='structure'] - Name of the root node
+ * @param {object} [options.logger] - Object with error/warn/info/debug methods
+ * @returns {Promise<{ gltf: object|Buffer, resources: object, preview: Buffer|null,
+ *   turntable: { frames: Array<{ name: string, image: Buffer, x: number, y: number }>, sheet: Buffer }|null,
+ *   report: object }>}
+ *   The glTF JSON (a Buffer for 'glb'), external files keyed by name for 'separate', the
+ *   preview PNG and turntable frames and sprite sheet when asked for, and a conversion report
+ */
+const convertStructure = async (buffer, options = {}) => {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new TypeError('convertStructure expects a Buffer')
+  }
+  checkOptions(options)
+
+  const startTime = Date.now()
+  const { parsed } = await parse(buffer)
+  const reader = findReader(parsed)
+
+  return convertSource({
+    format: reader.format,
+    dataVersion: () => reader.dataVersion(parsed),
+    read: (mcModules) => reader.read(parsed, mcModules, options)
+  }, options, startTime)
+}
+
+/**
+ * Convert part of a Java Edition world save (1.13 or later) to glTF: every
+ * block between two corners, read from the overworld's region files.
+ *
+ * @param {string} worldDirectory - World save directory (containing level.dat and region/)
+ * @param {object} options - The options of convertStructure, plus:
+ * @param {{ x: number, y: number, z: number }} options.min - One corner, in block coordinates
+ * @param {{ x: number, y: number, z: number }} options.max - The opposite corner (inclusive)
+ * @returns {Promise<object>} As convertStructure
+ */
+const convertWorld = async (worldDirectory, options = {}) => {
+  checkOptions(options)
+  const source = createWorldSource(worldDirectory, options)
+  return convertSource(source, { name: path.basename(path.resolve(worldDirectory)), ...options }, Date.now())
+}
+
+// Turn the result of convertStructure into the bytes of the output file
+const serializeOutput = (gltf) => Buffer.isBuffer(gltf) ? gltf : Buffer.from(JSON.stringify(gltf))
+
+// Write the result of convertStructure to disk, creating parent directories.
+// Resources of the 'separate' format are written next to the output file.
+const writeOutput = async (gltf, outputPath, resources = {}) => {
+  const directory = path.dirname(outputPath)
+  await fs.mkdir(directory, { recursive: true })
+  await fs.writeFile(outputPath, serializeOutput(gltf))
+  for (const [fileName, data] of Object.entries(resources)) {
+    await fs.writeFile(path.join(directory, fileName), data)
+  }
+  return outputPath
+}
+
+export {
+  DEFAULT_VERSION,
+  FORMATS,
+  OUTPUT_EXTENSIONS,
+  checkOptions,
+  convertStructure,
+  convertWorld,
+  serializeOutput,
+  writeOutput
+}
@@ -1,10 +1,52 @@
 import * as THREE from 'three'
+import { createCanvas } from 'canvas'
 import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
 import BlockModelLoader from './blockmodelloader.js'
 import BlockModelRenderer from './blockmodelrenderer.js'
+import GreedyMesher from './greedymesher.js'
+import { addWhiteColors, bakeAmbientOcclusion, bakeLight } from './vertexcolors.js'
+import defaultLogger from './logger.js'
+
+// Offset to the neighboring block in each face direction
+const NEIGHBORS = {
+  up: [0, 1, 0],
+  down: [0, -1, 0],
+  north: [0, 0, -1],
+  south: [0, 0, 1],
+  west: [-1, 0, 0],
+  east: [1, 0, 0]
+}
+
+// Blocks blended with what is behind them: vanilla's translucent layer, plus
+// plain glass, which vanilla cuts out but which reads better blended
+const TRANSLUCENT_BLOCKS = /(^|_)glass(_pane)?$|^(ice|frosted_ice|slime_block|honey_block|water|bubble_column|nether_portal)$/
+
+// Blocks vanilla draws in its cutout layer although minecraft-data does not
+// mark them transparent
+const CUTOUT_BLOCKS = /^(cactus|repeater|comparator|big_dripleaf(_stem)?|(calibrated_)?sculk_sensor|sculk_shrieker)$/
+
+// How each render layer draws: solid, with see-through pixels cut out at an
+// alpha threshold, or alpha blended. Exported as glTF alphaMode OPAQUE, MASK
+// and BLEND.
+const RENDER_LAYERS = {
+  opaque: { alphaTest: 0, transparent: false },
+  cutout: { alphaTest: 0.1, transparent: false },
+  translucent: { alphaTest: 0, transparent: true }
+}
+
+// Light of blocks that only glow while lit; minecraft-data lists them as dark
+const LIT_LIGHT = {
+  furnace: 13,
+  blast_furnace: 13,
+  smoker: 13,
+  redstone_lamp: 15,
+  redstone_ore: 9,
+  deepslate_redstone_ore: 9,
+  candle_cake: 3
+}
 
 class EnhancedMockWorker {
-  constructor(scene, mcData) {
+  constructor(scene, mcData, options = {}) {
     this.scene = scene
     this.mcData = mcData
     this.meshes = new Map()
@@ -13,16 +55,25 @@ class EnhancedMockWorker {
     this.geometryCache = new Map()
     this.modelLoader = null
     this.materialCache = new Map()
-    this.modelRenderer = new BlockModelRenderer(scene)
+    this.opacityCache = new Map()
+    this.layerCache = new Map()
+    this.greedyFaceCache = new Map()
+    this.logger = options.logger || defaultLogger
+    this.tints = options.tints || null
+    this.emissiveLevels = !!options.emissiveLevels
+    this.ambientOcclusion = !!options.ambientOcclusion
+    this.skyLight = options.skyLight ?? 15
+    this.lightMap = null
+    this.modelRenderer = new BlockModelRenderer(scene, { logger: this.logger })
   }
 
   async initialize(assetsDirectory) {
     try {
-      this.modelLoader = new BlockModelLoader(assetsDirectory)
+      this.modelLoader = new BlockModelLoader(assetsDirectory, { logger: this.logger })
       await this.modelLoader.loadBlockModels()
       return true
     } catch (error) {
-      console.error('Worker initialization failed:', error)
+      this.logger.error('Worker initialization failed:', error)
       throw error
     }
   }
@@ -30,70 +81,260 @@ class EnhancedMockWorker {
   setAtlas(atlas, uvMapping) {
     this.atlas = atlas
     this.uvMapping = uvMapping
+    this.materialCache.clear()
+    this.greedyFaceCache.clear()
+    this.modelRenderer.setUvMapping(uvMapping)
   }
 
-  createMaterial(blockId) {
-    const block = this.mcData.blocks[blockId]
-    if (!block || !this.atlas) {
-      return new THREE.MeshStandardMaterial({ color: 0xFFFFFF })
-    }
+  // Light levels of the structure (see LightMap) to bake into vertex colors
+  setLightMap(lightMap) {
+    this.lightMap = lightMap
+  }
 
-    const blockName = block.name.replace('minecraft:', '')
-    
-    // Try multiple texture mapping possibilities
-    const textureMappings = [
-      blockName,
-      `block/${blockName}`,
-      `minecraft:block/${blockName}`,
-      `${blockName}_texture`,
-      'particle'
-    ]
-
-    let uvs = null
-    for (const mapping of textureMappings) {
-      if (this.uvMapping[mapping]) {
-        uvs = this.uvMapping[mapping]
-        break
-      }
+  // Every face carries uvs into the shared texture atlas (see
+  // BlockModelRenderer), so blocks share one material per render layer, plus
+  // copies that multiply in vertex colors (tints, baked shading) or glow with
+  // the light of light sources (see emissiveIntensity)
+  createMaterial({ vertexColors = false, layer = 'cutout', emissive = 0 } = {}) {
+    if (!this.atlas) {
+      return new THREE.MeshStandardMaterial({ color: 0xFFFFFF, vertexColors })
     }
 
-    if (!uvs) {
-      console.warn(`No texture mapping found for ${blockName}`)
-      return new THREE.MeshStandardMaterial({ color: 0xFFFFFF })
-    }
+    let name = layer
+    if (vertexColors) name += '_colored'
+    if (emissive) name += `_emissive_${Math.round(emissive * 15)}`
 
-    // Create material with proper texture mapping
+    const cached = this.materialCache.get(name)
+    if (cached) return cached
+
+    const { alphaTest, transparent } = RENDER_LAYERS[layer]
     const material = new THREE.MeshStandardMaterial({
-      map: this.atlas.clone(),
-      alphaTest: 0.1,
+      map: this.atlas,
+      alphaTest,
+      transparent,
+      // Blended faces must not hide what is behind them from later draws
+      depthWrite: !transparent,
       side: THREE.FrontSide,
       roughness: 1.0,
-      metalness: 0.0
+      metalness: 0.0,
+      vertexColors
     })
+    material.name = name
+    if (emissive) this.makeEmissive(material, this.atlas, emissive)
+    this.materialCache.set(name, material)
+
+    return material
+  }
+
+  // Let a material's texture glow on its own, so light sources stay bright
+  // in dark scenes. The intensity (0-1) goes into the emissive color, which
+  // glTF keeps as emissiveFactor without needing an extension.
+  makeEmissive(material, map, intensity) {
+    material.emissive = new THREE.Color(intensity, intensity, intensity)
+    material.emissiveMap = map
+  }
 
-    // Apply UV mapping with rotation for lanterns
-    material.map.repeat.set(uvs.width, uvs.height)
-    material.map.offset.set(uvs.x, uvs.y)
-    material.map.magFilter = THREE.NearestFilter
-    material.map.minFilter = THREE.NearestFilter
-    material.map.needsUpdate = true
-    material.map.anisotropy = 1
+  // Material for one texture on its own, repeating so a greedy quad can
+  // tile it once per block (a region of the atlas cannot repeat)
+  createTiledMaterial(texture, emissive = 0) {
+    const key = emissive ? `tiled:${texture}:${emissive}` : `tiled:${texture}`
+    const cached = this.materialCache.get(key)
+    if (cached) return cached
+
+    const region = this.uvMapping[texture] || this.uvMapping.missingno
+    const atlasImage = this.atlas.image
+    const size = region.width * atlasImage.width
+    const canvas = createCanvas(size, size)
+    canvas.getContext('2d').drawImage(
+      atlasImage,
+      region.x * atlasImage.width, region.y * atlasImage.height, size, size,
+      0, 0, size, size
+    )
+
+    const map = new THREE.CanvasTexture(canvas)
+    map.wrapS = THREE.RepeatWrapping
+    map.wrapT = THREE.RepeatWrapping
+    map.magFilter = THREE.NearestFilter
+    map.minFilter = THREE.NearestFilter
+    map.generateMipmaps = false
+    map.flipY = false
+    map.name = texture
+
+    // Only opaque blocks are greedy meshed (see greedyFaces)
+    const material = new THREE.MeshStandardMaterial({
+      map,
+      side: THREE.FrontSide,
+      roughness: 1.0,
+      metalness: 0.0
+    })
+    material.name = texture
+    if (emissive) this.makeEmissive(material, map, emissive)
+    this.materialCache.set(key, material)
 
     return material
   }
 
-  addMeshForBlockType(blockType, blocks, chunkX, chunkZ) {
+  // Whether a block hides the faces of its neighbors: not transparent in
+  // minecraft-data (glass, leaves, ice) and filling its whole block space
+  isOpaque(blockType, properties = {}) {
+    const key = `${blockType}[${this.modelLoader.stateKey(properties)}]`
+    if (this.opacityCache.has(key)) return this.opacityCache.get(key)
+
+    const block = this.mcData.blocks[blockType]
+    const opaque = !!block && !block.transparent &&
+      this.modelRenderer.isFullCube(this.modelLoader.getModel(block.name, properties))
+    this.opacityCache.set(key, opaque)
+    return opaque
+  }
+
+  // Light level (0-15) a block state gives off: minecraft-data's emitLight,
+  // except that blocks with a `lit` property only glow while lit
+  lightLevel(blockType, properties = {}) {
+    const block = this.mcData.blocks[blockType]
+    if (!block || properties.lit === 'false' || properties.lit === false) return 0
+
+    const lit = properties.lit === 'true' || properties.lit === true
+    if (lit && block.name in LIT_LIGHT) return LIT_LIGHT[block.name]
+    if (lit && block.name.endsWith('candle')) return 3 * (Number(properties.candles) || 1)
+    return block.emitLight || 0
+  }
+
+  // Strength of a block's glow: full for every light source, or with
+  // emissiveLevels in proportion to its light level
+  emissiveIntensity(blockType, properties = {}) {
+    const level = this.lightLevel(blockType, properties)
+    if (!level) return 0
+    return this.emissiveLevels ? level / 15 : 1
+  }
+
+  // Render layer of a block: 'translucent' (see TRANSLUCENT_BLOCKS), 'opaque'
+  // for solid blocks, slabs and stairs included, and 'cutout' for the rest
+  // (leaves, flowers, rails, doors), whose textures have see-through pixels.
+  // Only culling asks for a full cube (see isOpaque).
+  renderLayer(blockType) {
+    if (this.layerCache.has(blockType)) return this.layerCache.get(blockType)
+
+    const block = this.mcData.blocks[blockType]
+    let layer = 'cutout'
+    if (block && TRANSLUCENT_BLOCKS.test(block.name)) {
+      layer = 'translucent'
+    } else if (block && !block.transparent && !CUTOUT_BLOCKS.test(block.name)) {
+      layer = 'opaque'
+    }
+    this.layerCache.set(blockType, layer)
+    return layer
+  }
+
+  // Whether a block hides faces it shares with the same block, like vanilla
+  // does inside a body of water or a wall of glass
+  cullsOwnType(blockType, properties = {}) {
+    if (this.isFluid(blockType)) return true
+
+    const block = this.mcData.blocks[blockType]
+    return this.renderLayer(blockType) === 'translucent' &&
+      this.modelRenderer.isFullCube(this.modelLoader.getModel(block.name, properties))
+  }
+
+  // World directions in which a block touches an opaque neighbor, or one of
+  // its own type for blocks that cull those (see cullsOwnType)
+  culledFaces(block, position, getBlock) {
+    const culled = new Set()
+    if (!getBlock) return culled
+
+    const cullsOwnType = this.cullsOwnType(block.type, block.properties)
+    const [x, y, z] = position
+    for (const [face, [dx, dy, dz]] of Object.entries(NEIGHBORS)) {
+      const neighbor = getBlock(x + dx, y + dy, z + dz)
+      if (!neighbor) continue
+      if (this.isOpaque(neighbor.type, neighbor.properties) || (cullsOwnType && neighbor.type === block.type)) {
+        culled.add(face)
+      }
+    }
+    return culled
+  }
+
+  isFluid(blockType) {
+    const block = this.mcData.blocks[blockType]
+    return !!block && this.modelLoader.isFluid(block.name)
+  }
+
+  // Face textures of a block greedy meshing can merge: an opaque, unrotated
+  // single-element cube whose faces each show one whole texture. Anything
+  // else (overlays, rotated variants, partial uvs, tinted faces) returns null.
+  greedyFaces(blockType, properties = {}) {
+    const key = `${blockType}[${this.modelLoader.stateKey(properties)}]`
+    if (this.greedyFaceCache.has(key)) return this.greedyFaceCache.get(key)
+
+    let faces = null
+    const block = this.mcData.blocks[blockType]
+    const model = block && this.modelLoader.getModel(block.name, properties)
+    const element = model?.elements?.length === 1 ? model.elements[0] : null
+
+    if (element && !model.x && !model.y && this.isOpaque(blockType, properties)) {
+      faces = {}
+      for (const face of Object.keys(NEIGHBORS)) {
+        const faceData = element.faces?.[face]
+        const wholeTexture = !faceData?.uv ||
+          faceData.uv.join(',') === '0,0,1,1'
+        const tinted = faceData?.tintindex !== undefined && !!this.tints
+        if (!faceData || !wholeTexture || faceData.rotation || tinted || !this.uvMapping?.[faceData.texture]) {
+          faces = null
+          break
+        }
+        faces[face] = faceData.texture
+      }
+    }
+
+    this.greedyFaceCache.set(key, faces)
+    return faces
+  }
+
+  // Whether a block state's model takes ambient occlusion; models such as
+  // torches and flowers turn it off with "ambientocclusion": false
+  usesAmbientOcclusion(block, properties = {}) {
+    const model = this.modelLoader.getModel(block.name, properties)
+    const parts = model?.parts || [model]
+    return parts.every(part => part?.ambientocclusion !== false)
+  }
+
+  geometryKey(block, properties, culledFaces) {
+    const culled = culledFaces ? [...culledFaces].sort().join(',') : ''
+    return `${block.name}[${this.modelLoader.stateKey(properties)}]|${culled}`
+  }
+
+  // Geometry of one block state with the given faces culled. Blocks share it
+  // across chunks, so the exported file stores each variant once.
+  getBlockGeometry(block, properties, culledFaces) {
+    const key = this.geometryKey(block, properties, culledFaces)
+    const cached = this.geometryCache.get(key)
+    if (cached) return cached
+
+    // Get the model and create geometry using BlockModelRenderer
+    const model = this.modelLoader.getModel(block.name, properties)
+    const tint = this.tints?.tintFor(block.name, properties) ?? null
+    const geometry = this.modelRenderer.createGeometryFromModel(model, culledFaces, tint)
+    this.geometryCache.set(key, geometry)
+    return geometry
+  }
+
+  addMeshForBlockType(blockType, blocks, chunkX, chunkZ, properties = {}, culledFaces = null, target = null) {
     const block = this.mcData.blocks[blockType]
     if (!block) {
-      console.warn(`Unknown block type: ${blockType}`)
+      this.logger.warn(`Unknown block type: ${blockType}`)
       return false
     }
 
     try {
-      // Get the model and create geometry using BlockModelRenderer
-      const model = this.modelLoader.getModel(block.name, block.metadata)
-      const geometry = this.modelRenderer.createGeometryFromModel(model)
-      const material = this.createMaterial(blockType)
+      const geometry = this.getBlockGeometry(block, properties, culledFaces)
+      if (!geometry.index?.count) {
+        // Every face is hidden by neighbors
+        return false
+      }
+      const material = this.createMaterial({
+        vertexColors: geometry.hasAttribute('color'),
+        layer: this.renderLayer(blockType),
+        emissive: this.emissiveIntensity(blockType, properties)
+      })
 
       const instancedMesh = new THREE.InstancedMesh(
         geometry,
@@ -113,44 +354,155 @@ class EnhancedMockWorker {
         instancedMesh.setMatrixAt(index, matrix)
       })
 
-      const meshId = `${chunkX},${chunkZ},${blockType}`
-      this.addMeshToScene(meshId, instancedMesh)
+      const meshId = `${chunkX},${chunkZ},${blockType},${this.geometryKey(block, properties, culledFaces)}`
+      this.addMeshToScene(meshId, instancedMesh, target)
 
       return true
     } catch (error) {
-      console.error(`Failed to create mesh for ${block.name}:`, error)
+      this.logger.error(`Failed to create mesh for ${block.name}:`, error)
       return false
     }
   }
 
-  addMeshToScene(meshId, mesh) {
-    if (this.meshes.has(meshId)) {
-      const oldMesh = this.meshes.get(meshId)
-      this.scene.remove(oldMesh)
-      oldMesh.geometry?.dispose()
-      oldMesh.material?.dispose()
+  // target ({ scene, id }) puts the mesh in another group than the worker's
+  // scene, under ids of its own
+  addMeshToScene(meshId, mesh, target = null) {
+    const scene = target?.scene || this.scene
+    const id = target ? `${target.id}/${meshId}` : meshId
+
+    if (this.meshes.has(id)) {
+      const oldMesh = this.meshes.get(id)
+      oldMesh.parent?.remove(oldMesh)
+      // Geometry and materials are shared between meshes, so keep them
+    }
+    this.meshes.set(id, mesh)
+    scene.add(mesh)
+  }
+
+  // Merge the visible faces of greedy-meshable blocks (see greedyFaces) into
+  // larger quads, one mesh per texture. Blocks are in world coordinates.
+  // Faces of light sources only merge with faces glowing just as bright.
+  addGreedyMesh(blocks, getBlock, target = null) {
+    const mesher = new GreedyMesher()
+
+    for (const block of blocks) {
+      const faces = this.greedyFaces(block.type, block.properties)
+      const emissive = this.emissiveIntensity(block.type, block.properties)
+      const culled = this.culledFaces(block, block.worldPosition, getBlock)
+      for (const [face, texture] of Object.entries(faces)) {
+        if (!culled.has(face)) {
+          mesher.addFace(face, block.worldPosition, emissive ? `${texture}#${emissive}` : texture)
+        }
+      }
+    }
+
+    const quadsByTexture = new Map()
+    for (const quad of mesher.quads()) {
+      if (!quadsByTexture.has(quad.texture)) quadsByTexture.set(quad.texture, [])
+      quadsByTexture.get(quad.texture).push(quad)
+    }
+
+    for (const [key, quads] of quadsByTexture) {
+      const [texture, emissive = 0] = key.split('#')
+      const mesh = new THREE.Mesh(
+        this.modelRenderer.createQuadGeometry(quads),
+        this.createTiledMaterial(texture, Number(emissive))
+      )
+      mesh.name = `greedy_${texture}`
+      this.addMeshToScene(`greedy:${key}`, mesh, target)
+    }
+
+    this.logger.debug(`Greedy meshing merged ${blocks.length} blocks into ${quadsByTexture.size} meshes`)
+    return quadsByTexture.size
+  }
+
+  // With ambient occlusion or baked light, vertex colors depend on each
+  // block's surroundings, so blocks cannot share geometry. Each block gets its
+  // own copy, and a chunk's blocks are merged into one mesh per material.
+  addBakedMesh({ x, z, blocks, getBlock, target }) {
+    const occludes = (bx, by, bz) => {
+      const neighbor = getBlock?.(bx, by, bz)
+      return !!neighbor && this.isOpaque(neighbor.type, neighbor.properties)
+    }
+    // Sky light is dimmed to the time of day; block light is not
+    const lightAt = (bx, by, bz) => {
+      const { block, sky } = this.lightMap.get(bx, by, bz)
+      return Math.max(block, sky * this.skyLight / 15)
+    }
+
+    const geometriesByMaterial = new Map()
+    for (const block of blocks) {
+      const mcBlock = this.mcData.blocks[block.type]
+      if (!block?.position || !mcBlock) continue
+
+      const position = [x * 16 + block.position[0], block.position[1], z * 16 + block.position[2]]
+      const culled = this.culledFaces(block, position, getBlock)
+      const shared = this.getBlockGeometry(mcBlock, block.properties, culled)
+      if (!shared.index?.count) continue
+
+      const geometry = shared.clone()
+      if (!geometry.hasAttribute('color')) addWhiteColors(geometry)
+      if (this.ambientOcclusion && this.usesAmbientOcclusion(mcBlock, block.properties)) {
+        bakeAmbientOcclusion(geometry, position, occludes)
+      }
+      if (this.lightMap) bakeLight(geometry, position, lightAt, occludes)
+      geometry.translate(...position)
+
+      const material = this.createMaterial({
+        vertexColors: true,
+        layer: this.renderLayer(block.type),
+        emissive: this.emissiveIntensity(block.type, block.properties)
+      })
+      if (!geometriesByMaterial.has(material)) geometriesByMaterial.set(material, [])
+      geometriesByMaterial.get(material).push(geometry)
     }
-    this.meshes.set(meshId, mesh)
-    this.scene.add(mesh)
+
+    for (const [material, geometries] of geometriesByMaterial) {
+      const geometry = mergeGeometries(geometries, false)
+      geometries.forEach(part => part.dispose())
+      if (!geometry) {
+        this.logger.warn(`Could not merge the ${material.name} blocks of chunk ${x},${z}`)
+        continue
+      }
+
+      const mesh = new THREE.Mesh(geometry, material)
+      mesh.name = `chunk_${x}_${z}_${material.name}`
+      this.addMeshToScene(`${x},${z},baked:${material.name}`, mesh, target)
+    }
+
+    return geometriesByMaterial.size > 0
   }
 
+  // getBlock(x, y, z) looks up neighbors by world position, across chunk
+  // borders, so faces hidden by an opaque neighbor can be left out
   addMesh(data) {
     if (!data?.blocks?.length) return false
-    
-    const { x, z, blocks } = data
-    const blocksByType = new Map()
+    if (this.ambientOcclusion || this.lightMap) return this.addBakedMesh(data)
+
+    const { x, z, blocks, getBlock, target } = data
+    const blocksByState = new Map()
     let addedAnyMesh = false
     
+    // Blocks of one type can still need different models (stair facing,
+    // log axis, door half), so group by type and block state. Blocks of one
+    // state share geometry only when the same faces are culled.
     for (const block of blocks) {
       if (!block?.position || block.type === 0) continue
-      if (!blocksByType.has(block.type)) {
-        blocksByType.set(block.type, [])
+      const culled = this.culledFaces(block, [
+        x * 16 + block.position[0],
+        block.position[1],
+        z * 16 + block.position[2]
+      ], getBlock)
+      const key = `${block.type}:${this.geometryKey(this.mcData.blocks[block.type] || {}, block.properties, culled)}`
+      if (!blocksByState.has(key)) {
+        blocksByState.set(key, { culled, blocks: [] })
       }
-      blocksByType.get(block.type).push(block)
+      blocksByState.get(key).blocks.push(block)
     }
 
-    for (const [blockType, typeBlocks] of blocksByType) {
-      if (this.addMeshForBlockType(blockType, typeBlocks, x, z)) {
+    for (const { culled, blocks: stateBlocks } of blocksByState.values()) {
+      const { type, properties } = stateBlocks[0]
+      if (this.addMeshForBlockType(type, stateBlocks, x, z, properties, culled, target)) {
         addedAnyMesh = true
       }
     }
@@ -159,4 +511,4 @@ class EnhancedMockWorker {
   }
 }
 
-export default EnhancedMockWorker
\ No newline at end of file
+export default EnhancedMockWorker
@@ -1,15 +1,21 @@
-import { Vec3 } from 'vec3'
 import EnhancedMockWorker from './enhancedmockworker.js'
+import LightMap from './lightmap.js'
+import defaultLogger from './logger.js'
 
+// Turns a VoxelGrid (see voxelgrid.js) into block meshes, chunk by chunk
 class EnhancedWorldView {
-  constructor(world, viewDistance, center, scene, mcData) {
-    this.world = world
+  constructor(grid, viewDistance, center, scene, mcData, options = {}) {
+    this.grid = grid
     this.viewDistance = viewDistance
     this.center = center
     this.scene = scene
     this.mcData = mcData
     this.isStarted = false
-    this.worker = new EnhancedMockWorker(scene, mcData)
+    this.logger = options.logger || defaultLogger
+    this.light = !!options.light
+    // Greedy quads span many blocks, so they cannot carry per-vertex shading
+    this.greedy = !!options.greedy && !options.ambientOcclusion && !this.light
+    this.worker = new EnhancedMockWorker(scene, mcData, options)
   }
 
   async init(pos) {
@@ -21,46 +27,66 @@ class EnhancedWorldView {
     this.center = pos
   }
 
-  async generateMeshes() {
+  // Mesh the whole grid into the scene, or with `bounds` ({ min, max }) only
+  // part of it into `scene`; `id` keeps the meshes of each part apart.
+  // Neighbors outside the bounds still hide faces.
+  async generateMeshes({ bounds = null, scene = null, id = '' } = {}) {
     try {
       const blocks = []
-      const scanRange = 32
-      
-      console.log('Scanning blocks...')
-      for (let x = -scanRange; x <= scanRange; x++) {
-        for (let y = 0; y < 256; y++) {
-          for (let z = -scanRange; z <= scanRange; z++) {
-            const worldX = this.center.x + x
-            const worldY = y
-            const worldZ = this.center.z + z
-            
-            try {
-              const block = await this.world.getBlock(new Vec3(worldX, worldY, worldZ))
-              if (block && block.type !== 0) {
-                const localChunkX = Math.floor(worldX / 16)
-                const localChunkZ = Math.floor(worldZ / 16)
-                const localX = worldX - (localChunkX * 16)
-                const localZ = worldZ - (localChunkZ * 16)
-                
-                blocks.push({
-                  chunkX: localChunkX,
-                  chunkZ: localChunkZ,
-                  type: block.type,
-                  position: [parseInt(localX), parseInt(worldY), parseInt(localZ)]
-                })
-              }
-            } catch (e) {
-              continue
-            }
+      const target = scene ? { scene, id } : null
+
+      // Only the structure's own blocks are visited, so the work scales with
+      // its size and nothing outside a fixed window gets cut off
+      this.logger.debug('Collecting blocks...')
+      this.grid.forEach((state, worldX, worldY, worldZ) => {
+        const chunkX = Math.floor(worldX / 16)
+        const chunkZ = Math.floor(worldZ / 16)
+
+        blocks.push({
+          chunkX,
+          chunkZ,
+          type: state.type,
+          properties: state.properties,
+          position: [worldX - chunkX * 16, worldY, worldZ - chunkZ * 16]
+        })
+      }, bounds)
+
+      this.logger.debug(`Found ${blocks.length} blocks to process`)
+
+      // Light is spread over the whole structure once, so parts exported on
+      // their own are still lit by their surroundings
+      if (this.light && !this.worker.lightMap) {
+        this.logger.debug('Spreading block and sky light...')
+        this.worker.setLightMap(new LightMap(this.grid, {
+          emitted: (state) => this.worker.lightLevel(state.type, state.properties),
+          filtered: (state) => this.mcData.blocks[state.type]?.filterLight
+        }))
+      }
+
+      // Neighbor lookup by world position, used to cull hidden faces
+      const getBlock = (x, y, z) => this.grid.get(x, y, z)
+
+      // Greedy meshing takes the plain full cubes across the whole structure;
+      // everything else is still meshed block by block, chunk by chunk
+      let meshCount = 0
+      let chunkedBlocks = blocks
+      if (this.greedy) {
+        const greedyBlocks = []
+        chunkedBlocks = []
+        for (const block of blocks) {
+          if (this.worker.greedyFaces(block.type, block.properties)) {
+            const [localX, y, localZ] = block.position
+            greedyBlocks.push({ ...block, worldPosition: [block.chunkX * 16 + localX, y, block.chunkZ * 16 + localZ] })
+          } else {
+            chunkedBlocks.push(block)
           }
         }
+        meshCount += this.worker.addGreedyMesh(greedyBlocks, getBlock, target)
       }
 
-      console.log(`Found ${blocks.length} blocks to process`)
-
       // Group blocks by chunk
       const chunkBlocks = new Map()
-      for (const block of blocks) {
+      for (const block of chunkedBlocks) {
         const key = `${block.chunkX},${block.chunkZ}`
         if (!chunkBlocks.has(key)) {
           chunkBlocks.set(key, [])
@@ -68,10 +94,9 @@ class EnhancedWorldView {
         chunkBlocks.get(key).push(block)
       }
 
-      console.log(`Grouped into ${chunkBlocks.size} chunks`)
+      this.logger.debug(`Grouped into ${chunkBlocks.size} chunks`)
 
       // Process each chunk
-      let meshCount = 0
       for (const [key, chunkBlockList] of chunkBlocks) {
         const [chunkX, chunkZ] = key.split(',').map(Number)
         
@@ -79,17 +104,19 @@ class EnhancedWorldView {
         const result = this.worker.addMesh({
           x: chunkX,
           z: chunkZ,
-          blocks: chunkBlockList
+          blocks: chunkBlockList,
+          getBlock,
+          target
         })
         
         if (result) meshCount++
       }
 
-      console.log(`Generated ${meshCount} meshes`)
+      this.logger.debug(`Generated ${meshCount} meshes`)
       return meshCount
 
     } catch (e) {
-      console.error('Failed to process chunks:', e)
+      this.logger.error('Failed to process chunks:', e)
       throw e
     }
   }
@@ -0,0 +1,91 @@
+// World axis each face lies across (normal) and the axes its texture u and v
+// run along, matching the face orientation in BlockModelRenderer
+const FACE_AXES = {
+  up: { normal: 1, u: 0, v: 2 },
+  down: { normal: 1, u: 0, v: 2 },
+  east: { normal: 0, u: 2, v: 1 },
+  west: { normal: 0, u: 2, v: 1 },
+  north: { normal: 2, u: 0, v: 1 },
+  south: { normal: 2, u: 0, v: 1 }
+}
+
+// Merges coplanar block faces that show the same texture into larger
+// rectangles. Faces are added one block at a time; quads() returns the merged
+// rectangles as the box of blocks they cover, in world block coordinates.
+class GreedyMesher {
+  constructor() {
+    // face -> plane coordinate -> "u,v" -> texture
+    this.planes = new Map()
+  }
+
+  addFace(face, position, texture) {
+    const axes = FACE_AXES[face]
+    if (!axes) return false
+
+    if (!this.planes.has(face)) this.planes.set(face, new Map())
+    const planes = this.planes.get(face)
+
+    const plane = position[axes.normal]
+    if (!planes.has(plane)) planes.set(plane, new Map())
+    planes.get(plane).set(`${position[axes.u]},${position[axes.v]}`, texture)
+    return true
+  }
+
+  quads() {
+    const quads = []
+
+    for (const [face, planes] of this.planes) {
+      const axes = FACE_AXES[face]
+
+      for (const [plane, cells] of planes) {
+        const visited = new Set()
+        const texture = (u, v) => visited.has(`${u},${v}`) ? undefined : cells.get(`${u},${v}`)
+
+        // Sweep row by row so every rectangle starts at its lowest u and v
+        const starts = [...cells.keys()]
+          .map(key => key.split(',').map(Number))
+          .sort((a, b) => a[1] - b[1] || a[0] - b[0])
+
+        for (const [u0, v0] of starts) {
+          const current = texture(u0, v0)
+          if (current === undefined) continue
+
+          // Grow along u, then add rows along v while the whole row matches
+          let u1 = u0 + 1
+          while (texture(u1, v0) === current) u1++
+
+          let v1 = v0 + 1
+          while (rowMatches(texture, u0, u1, v1, current)) v1++
+
+          for (let v = v0; v < v1; v++) {
+            for (let u = u0; u < u1; u++) {
+              visited.add(`${u},${v}`)
+            }
+          }
+
+          const from = [0, 0, 0]
+          const to = [0, 0, 0]
+          from[axes.normal] = plane
+          to[axes.normal] = plane + 1
+          from[axes.u] = u0
+          to[axes.u] = u1
+          from[axes.v] = v0
+          to[axes.v] = v1
+
+          quads.push({ face, texture: current, from, to, repeat: [u1 - u0, v1 - v0] })
+        }
+      }
+    }
+
+    return quads
+  }
+}
+
+const rowMatches = (texture, u0, u1, v, current) => {
+  for (let u = u0; u < u1; u++) {
+    if (texture(u, v) !== current) return false
+  }
+  return true
+}
+
+export default GreedyMesher
@@ -0,0 +1,111 @@
+// Offsets to the six neighbors of a cell
+const DIRECTIONS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+]
+
+const MAX_LIGHT = 15
+
+// Block light and sky light (0-15) for every cell of a VoxelGrid, spread the
+// way the game does: sky light falls straight down from the open sky, block
+// light starts at light sources, and both lose at least one level per step,
+// more through blocks that filter light (leaves, water, and fully through
+// solid blocks).
+// The structure is surrounded by one layer of open air, so sky light reaches
+// its sides as well as its top.
+class LightMap {
+  // emitted(state) and filtered(state) give the light a block state gives off
+  // and how much it takes from light passing through it
+  constructor(grid, { emitted, filtered }) {
+    this.grid = grid
+    this.size = {
+      x: grid.size.x + 2,
+      y: grid.size.y + 2,
+      z: grid.size.z + 2
+    }
+
+    const cellCount = this.size.x * this.size.y * this.size.z
+    this.filter = new Uint8Array(cellCount)
+    this.sky = new Uint8Array(cellCount)
+    this.block = new Uint8Array(cellCount)
+
+    const sources = []
+    grid.forEach((state, x, y, z) => {
+      const cell = this.cellIndex(x, y, z)
+      this.filter[cell] = Math.min(MAX_LIGHT, filtered(state) || 0)
+      const light = emitted(state)
+      if (light > 0) {
+        this.block[cell] = light
+        sources.push(cell)
+      }
+    })
+
+    this.spread(this.block, sources)
+    this.spread(this.sky, this.skyColumns())
+  }
+
+  // Index of a grid position in the padded arrays
+  cellIndex(x, y, z) {
+    return ((y + 1) * this.size.z + (z + 1)) * this.size.x + (x + 1)
+  }
+
+  // Light straight down from the sky, dimmed only by the blocks it passes
+  // through. Returns the lit cells, which spread the light sideways.
+  skyColumns() {
+    const lit = []
+    for (let z = 0; z < this.size.z; z++) {
+      for (let x = 0; x < this.size.x; x++) {
+        let light = MAX_LIGHT
+        for (let y = this.size.y - 1; y >= 0 && light > 0; y--) {
+          const cell = (y * this.size.z + z) * this.size.x + x
+          light = Math.max(0, light - this.filter[cell])
+          this.sky[cell] = light
+          if (light > 0) lit.push(cell)
+        }
+      }
+    }
+    return lit
+  }
+
+  // Flood light out from the given cells, breadth first
+  spread(levels, cells) {
+    const { x: sizeX, y: sizeY, z: sizeZ } = this.size
+    const queue = cells.slice()
+
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head]
+      const level = levels[cell]
+      if (level <= 1) continue
+
+      const x = cell % sizeX
+      const z = Math.floor(cell / sizeX) % sizeZ
+      const y = Math.floor(cell / (sizeX * sizeZ))
+      for (const [dx, dy, dz] of DIRECTIONS) {
+        const nx = x + dx
+        const ny = y + dy
+        const nz = z + dz
+        if (nx < 0 || ny < 0 || nz < 0 || nx >= sizeX || ny >= sizeY || nz >= sizeZ) continue
+
+        const neighbor = (ny * sizeZ + nz) * sizeX + nx
+        const next = level - Math.max(1, this.filter[neighbor])
+        if (next > levels[neighbor]) {
+          levels[neighbor] = next
+          queue.push(neighbor)
+        }
+      }
+    }
+  }
+
+  // Block and sky light at a grid position. Positions beyond the padding are
+  // open sky.
+  get(x, y, z) {
+    if (x < -1 || y < -1 || z < -1 || x > this.grid.size.x || y > this.grid.size.y || z > this.grid.size.z) {
+      return { block: 0, sky: MAX_LIGHT }
+    }
+    const cell = this.cellIndex(x, y, z)
+    return { block: this.block[cell], sky: this.sky[cell] }
+  }
+}
+
+export default LightMap
@@ -0,0 +1,100 @@
+import { simplify } from 'prismarine-nbt'
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver from './blockstateresolver.js'
+import { unpackSpanning } from './packedarray.js'
+
+const AXES = ['x', 'y', 'z']
+
+const vector = (tag) => {
+  const value = simplify(tag)
+  return { x: value.x, y: value.y, z: value.z }
+}
+
+// Region sizes may be negative, meaning the region extends from its position
+// towards lower coordinates. Returns the region's lowest corner and its size.
+const regionBox = (region) => {
+  const position = vector(region.Position)
+  const size = vector(region.Size)
+  const min = {}
+  const extent = {}
+  for (const axis of AXES) {
+    min[axis] = size[axis] < 0 ? position[axis] + size[axis] + 1 : position[axis]
+    extent[axis] = Math.abs(size[axis])
+  }
+  return { min, size: extent }
+}
+
+// Litematica schematics (.litematic): named regions, each with its own
+// position, size, palette and bit-packed block states. All regions are placed
+// in one grid spanning their combined bounds.
+const litematicReader = {
+  format: 'litematic',
+
+  detect(nbt) {
+    return nbt.value.Regions?.type === 'compound' && !!nbt.value.MinecraftDataVersion
+  },
+
+  dataVersion(nbt) {
+    return nbt.value.MinecraftDataVersion?.value ?? null
+  },
+
+  read(nbt, mcModules) {
+    const regions = Object.entries(nbt.value.Regions.value)
+      .map(([name, { value }]) => ({ name, value, ...regionBox(value) }))
+    if (regions.length === 0) {
+      throw new Error('Litematic file has no regions')
+    }
+
+    // Combined bounds of every region, which becomes the grid's origin
+    const origin = {}
+    const size = {}
+    for (const axis of AXES) {
+      origin[axis] = Math.min(...regions.map(region => region.min[axis]))
+      const max = Math.max(...regions.map(region => region.min[axis] + region.size[axis]))
+      size[axis] = max - origin[axis]
+    }
+
+    const grid = new VoxelGrid(size)
+    const resolver = new BlockStateResolver(grid, mcModules)
+
+    for (const region of regions) {
+      const { x: sizeX, y: sizeY, z: sizeZ } = region.size
+      const palette = region.value.BlockStatePalette.value.value.map(block =>
+        resolver.resolve(block.Name.value, block.Properties ? simplify(block.Properties) : {})
+      )
+
+      // Litematica packs palette indices back to back, so one can span two longs
+      const bitsPerBlock = Math.max(2, Math.ceil(Math.log2(palette.length)))
+      const volume = sizeX * sizeY * sizeZ
+      const states = unpackSpanning(region.value.BlockStates.value, bitsPerBlock, volume)
+
+      // Blocks are ordered x first, then z, then y, from the region's lowest corner
+      const offsetX = region.min.x - origin.x
+      const offsetY = region.min.y - origin.y
+      const offsetZ = region.min.z - origin.z
+      let index = 0
+      for (let y = 0; y < sizeY; y++) {
+        for (let z = 0; z < sizeZ; z++) {
+          for (let x = 0; x < sizeX; x++, index++) {
+            const stateIndex = palette[states[index]]
+            if (stateIndex) grid.set(offsetX + x, offsetY + y, offsetZ + z, stateIndex)
+          }
+        }
+      }
+
+      // Region bounds in grid coordinates, for exporting regions separately
+      region.bounds = {
+        min: { x: offsetX, y: offsetY, z: offsetZ },
+        max: { x: offsetX + sizeX, y: offsetY + sizeY, z: offsetZ + sizeZ }
+      }
+    }
+
+    return {
+      grid,
+      unknownBlocks: [...resolver.unknownBlocks],
+      regions: regions.map(({ name, bounds }) => ({ name, bounds }))
+    }
+  }
+}
+
+export default litematicReader
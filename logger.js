@@ -0,0 +1,46 @@
+// Minimal leveled logger so the CLI can control how chatty the pipeline is
+const LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4
+}
+
+class Logger {
+  constructor(level = 'info') {
+    this.setLevel(level)
+  }
+
+  setLevel(level) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`)
+    }
+    this.level = level
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= LEVELS[this.level]
+  }
+
+  error(...args) {
+    if (this.enabled('error')) console.error(...args)
+  }
+
+  warn(...args) {
+    if (this.enabled('warn')) console.warn(...args)
+  }
+
+  info(...args) {
+    if (this.enabled('info')) console.log(...args)
+  }
+
+  debug(...args) {
+    if (this.enabled('debug')) console.log(...args)
+  }
+}
+
+const logger = new Logger()
+
+export { Logger, LEVELS }
+export default logger
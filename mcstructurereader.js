@@ -0,0 +1,103 @@
+import { createRequire } from 'module'
+import { promises as fs } from 'fs'
+import { simplify } from 'prismarine-nbt'
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver, { parseBlockString } from './blockstateresolver.js'
+
+const require = createRequire(import.meta.url)
+
+// minecraft-data's Bedrock to Java block table ("name[states]" on both sides).
+// The 1.20.0 table produces the Java names of the default 1.20.2 release.
+const TRANSLATION_TABLE = 'minecraft-data/minecraft-data/data/bedrock/1.20.0/blocksB2J.json'
+
+let translationTable = null
+
+// Table entries by full key, plus the first entry for each Bedrock block name
+// as a fallback for state combinations the table does not list
+const loadTranslationTable = async () => {
+  if (!translationTable) {
+    translationTable = (async () => {
+      const entries = JSON.parse(await fs.readFile(require.resolve(TRANSLATION_TABLE), 'utf8'))
+      const byName = new Map()
+      for (const [bedrock, java] of Object.entries(entries)) {
+        const name = bedrock.split('[')[0]
+        if (!byName.has(name)) byName.set(name, java)
+      }
+      return { entries, byName }
+    })()
+    translationTable.catch(() => { translationTable = null })
+  }
+  return translationTable
+}
+
+// Java block state string for a Bedrock palette entry. Blocks missing from the
+// table keep their name, which Bedrock and Java mostly share.
+const translateBlock = ({ entries, byName }, name, states) => {
+  const key = `${name}[${Object.keys(states).sort().map(state => `${state}=${states[state]}`).join(',')}]`
+  return entries[key] || byName.get(name) || name
+}
+
+// Bedrock works out stair shapes when rendering instead of storing them; the
+// table picks an arbitrary corner shape
+const fixTranslatedProperties = (properties) => {
+  if (properties.shape && properties.half) {
+    return { ...properties, shape: 'straight' }
+  }
+  return properties
+}
+
+// Bedrock Edition structures (.mcstructure): little-endian NBT with a block
+// palette of Bedrock names and states, and palette indices in x, y, z order
+const mcstructureReader = {
+  format: 'mcstructure',
+
+  detect(nbt) {
+    return nbt.value.structure?.type === 'compound' &&
+      !!nbt.value.structure.value.block_indices &&
+      nbt.value.size?.type === 'list'
+  },
+
+  // Bedrock files carry no Java DataVersion; see TRANSLATION_TABLE
+  dataVersion() {
+    return null
+  },
+
+  async read(nbt, mcModules) {
+    const [sizeX, sizeY, sizeZ] = nbt.value.size.value.value
+    const size = { x: sizeX, y: sizeY, z: sizeZ }
+    const grid = new VoxelGrid(size)
+    const resolver = new BlockStateResolver(grid, mcModules)
+    const table = await loadTranslationTable()
+
+    const structure = nbt.value.structure.value
+    const blockPalette = structure.palette?.value.default?.value.block_palette?.value.value || []
+    const palette = blockPalette.map(block => {
+      const states = block.states ? simplify(block.states) : {}
+      const { name, properties } = parseBlockString(translateBlock(table, block.name.value, states))
+      return resolver.resolve(name, fixTranslatedProperties(properties))
+    })
+
+    // The first layer holds the blocks; the second only waterlogging water.
+    // -1 marks structure void, which stays empty.
+    const indices = structure.block_indices.value.value[0]?.value || []
+    const volume = sizeX * sizeY * sizeZ
+    if (indices.length < volume) {
+      throw new Error(`Structure has ${indices.length} blocks, expected ${volume}`)
+    }
+
+    // Blocks are ordered z first, then y, then x
+    let index = 0
+    for (let x = 0; x < sizeX; x++) {
+      for (let y = 0; y < sizeY; y++) {
+        for (let z = 0; z < sizeZ; z++, index++) {
+          const stateIndex = palette[indices[index]]
+          if (stateIndex) grid.set(x, y, z, stateIndex)
+        }
+      }
+    }
+
+    return { grid, unknownBlocks: [...resolver.unknownBlocks] }
+  }
+}
+
+export default mcstructureReader
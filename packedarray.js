@@ -0,0 +1,52 @@
+// Palette indices bit-packed into NBT long arrays. prismarine-nbt gives longs
+// as [high, low] pairs; both unpackers read them as little-endian 32-bit words.
+const toWords = (longs) => {
+  const words = new Uint32Array(longs.length * 2)
+  longs.forEach(([high, low], i) => {
+    words[i * 2] = low >>> 0
+    words[i * 2 + 1] = high >>> 0
+  })
+  return words
+}
+
+// Values packed back to back, so one can span two longs (Litematica, and
+// chunk sections before 1.16)
+const unpackSpanning = (longs, bitsPerValue, count) => {
+  const words = toWords(longs)
+  const mask = (1 << bitsPerValue) - 1
+  const values = new Uint32Array(count)
+  for (let i = 0; i < count; i++) {
+    const bit = i * bitsPerValue
+    const word = bit >>> 5
+    const offset = bit & 31
+    let value = words[word] >>> offset
+    if (offset + bitsPerValue > 32) {
+      value |= words[word + 1] << (32 - offset)
+    }
+    values[i] = value & mask
+  }
+  return values
+}
+
+// Whole values per long, leaving the remaining high bits unused (chunk
+// sections since 1.16)
+const unpackPadded = (longs, bitsPerValue, count) => {
+  const words = toWords(longs)
+  const mask = (1 << bitsPerValue) - 1
+  const perLong = Math.floor(64 / bitsPerValue)
+  const values = new Uint32Array(count)
+  for (let i = 0; i < count; i++) {
+    const long = Math.floor(i / perLong)
+    const bit = (i % perLong) * bitsPerValue
+    const word = long * 2 + (bit >>> 5)
+    const offset = bit & 31
+    let value = words[word] >>> offset
+    if (offset + bitsPerValue > 32) {
+      value |= words[word + 1] << (32 - offset)
+    }
+    values[i] = value & mask
+  }
+  return values
+}
+
+export { unpackSpanning, unpackPadded }
@@ -0,0 +1,345 @@
+import * as THREE from 'three'
+import { createCanvas, ImageData } from 'canvas'
+
+const PREVIEW_CAMERAS = ['isometric', 'perspective']
+const PREVIEW_DEFAULTS = {
+  width: 512,
+  height: 512,
+  camera: 'isometric',
+  background: '#87CEEB'
+}
+const TURNTABLE_DEFAULTS = {
+  ...PREVIEW_DEFAULTS,
+  width: 256,
+  height: 256,
+  frames: 8,
+  views: true,
+  columns: null
+}
+const MAX_PREVIEW_SIZE = 4096
+const MAX_SHEET_SIZE = 16384
+
+// Views straight at the structure, always orthographic: the top with north
+// up, the south face and the east face
+const VIEWS = {
+  top: { direction: new THREE.Vector3(0, 1, 0), up: new THREE.Vector3(0, 0, -1) },
+  front: { direction: new THREE.Vector3(0, 0, 1) },
+  side: { direction: new THREE.Vector3(1, 0, 0) }
+}
+
+// The isometric view looks down the cube diagonal (about 35° up), so all
+// three axes are foreshortened alike. The perspective view looks from as
+// high up as setupScene places its camera. Both start 45° around, from the
+// south-east corner.
+const ISOMETRIC_PITCH = Math.atan(1 / Math.SQRT2)
+const PERSPECTIVE_PITCH = Math.asin(1 / 3)
+const START_YAW = Math.PI / 4
+const PERSPECTIVE_FOV = 45
+
+// Room left around the structure, as a fraction of the frame
+const MARGIN = 1.05
+
+const isColor = (value) => value.toLowerCase() === 'transparent' ||
+  /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ||
+  value.toLowerCase() in THREE.Color.NAMES
+
+// Unit vector from the target towards a camera `yaw` around the vertical
+// axis (0 looks from the south) and `pitch` above the horizon
+const viewDirection = (yaw, pitch) => new THREE.Vector3(
+  Math.sin(yaw) * Math.cos(pitch),
+  Math.sin(pitch),
+  Math.cos(yaw) * Math.cos(pitch)
+)
+
+// Check the image settings shared by previews and turntables
+const checkImageSettings = (settings) => {
+  for (const dimension of ['width', 'height']) {
+    const value = settings[dimension]
+    if (!(Number.isInteger(value) && value > 0 && value <= MAX_PREVIEW_SIZE)) {
+      throw new Error(`Preview ${dimension} must be an integer from 1 to ${MAX_PREVIEW_SIZE}, got: ${value}`)
+    }
+  }
+  if (!PREVIEW_CAMERAS.includes(settings.camera)) {
+    throw new Error(`Unsupported preview camera: ${settings.camera} (expected one of ${PREVIEW_CAMERAS.join(', ')})`)
+  }
+  if (typeof settings.background !== 'string' || !isColor(settings.background)) {
+    throw new Error(`Background must be a hex color, a CSS color name or "transparent", got: ${settings.background}`)
+  }
+  settings.background = settings.background.toLowerCase()
+  return settings
+}
+
+/**
+ * Fill in and check preview options. `true` asks for the defaults.
+ *
+ * @param {boolean|object} preview - false for no preview, or { width, height, camera,
+ *   background }
+ * @returns {object|null} The complete settings, or null for no preview
+ */
+const previewSettings = (preview) => {
+  if (!preview) return null
+  return checkImageSettings({ ...PREVIEW_DEFAULTS, ...(preview === true ? {} : preview) })
+}
+
+/**
+ * Fill in and check turntable options. `true` asks for the defaults, a number
+ * for that many frames.
+ *
+ * @param {boolean|number|object} turntable - false for none, or { frames, views, columns,
+ *   width, height, camera, background }
+ * @returns {object|null} The complete settings, or null for no turntable
+ */
+const turntableSettings = (turntable) => {
+  if (!turntable) return null
+
+  const options = turntable === true ? {} : typeof turntable === 'number' ? { frames: turntable } : turntable
+  const settings = checkImageSettings({ ...TURNTABLE_DEFAULTS, ...options })
+  if (!(Number.isInteger(settings.frames) && settings.frames >= 1 && settings.frames <= 360)) {
+    throw new Error(`Turntable frames must be an integer from 1 to 360, got: ${settings.frames}`)
+  }
+
+  // The spin fills the first rows and the views start on a row of their own;
+  // by default the spin takes one row
+  const viewCount = settings.views ? Object.keys(VIEWS).length : 0
+  settings.columns ??= Math.min(Math.max(settings.frames, viewCount), Math.floor(MAX_SHEET_SIZE / settings.width))
+  if (!(Number.isInteger(settings.columns) && settings.columns >= 1)) {
+    throw new Error(`Sheet columns must be a positive integer, got: ${settings.columns}`)
+  }
+  settings.rows = Math.ceil(settings.frames / settings.columns) + Math.ceil(viewCount / settings.columns)
+  if (settings.columns * settings.width > MAX_SHEET_SIZE || settings.rows * settings.height > MAX_SHEET_SIZE) {
+    throw new Error(`Sprite sheet would exceed ${MAX_SHEET_SIZE}x${MAX_SHEET_SIZE} pixels; use fewer or smaller frames`)
+  }
+  return settings
+}
+
+const boxCorners = (bounds) => {
+  const { min, max } = bounds
+  const corners = []
+  for (const x of [min.x, max.x]) {
+    for (const y of [min.y, max.y]) {
+      for (const z of [min.z, max.z]) {
+        corners.push(new THREE.Vector3(x, y, z))
+      }
+    }
+  }
+  return corners
+}
+
+// A camera looking at the bounds from `direction` that fits them in a frame
+// of the given aspect ratio. Orthographic frames hug the box as projected;
+// perspective ones fit its bounding sphere, which holds from any side.
+const createCamera = (bounds, { projection, direction, aspect, up = new THREE.Vector3(0, 1, 0) }) => {
+  const sphere = bounds.getBoundingSphere(new THREE.Sphere())
+  const radius = Math.max(sphere.radius, 0.5)
+
+  let camera
+  let distance
+  if (projection === 'orthographic') {
+    camera = new THREE.OrthographicCamera()
+    distance = radius * 2
+  } else {
+    const vertical = THREE.MathUtils.degToRad(PERSPECTIVE_FOV / 2)
+    const horizontal = Math.atan(Math.tan(vertical) * aspect)
+    distance = radius * MARGIN / Math.sin(Math.min(vertical, horizontal))
+    camera = new THREE.PerspectiveCamera(PERSPECTIVE_FOV, aspect, Math.max(distance - radius, 0.01) / 2, distance + radius)
+  }
+
+  camera.up.copy(up)
+  camera.position.copy(sphere.center).addScaledVector(direction, distance)
+  camera.lookAt(sphere.center)
+  camera.updateMatrixWorld()
+
+  if (camera.isOrthographicCamera) {
+    let halfWidth = 0
+    let halfHeight = 0
+    for (const corner of boxCorners(bounds)) {
+      const point = corner.applyMatrix4(camera.matrixWorldInverse)
+      halfWidth = Math.max(halfWidth, Math.abs(point.x))
+      halfHeight = Math.max(halfHeight, Math.abs(point.y))
+    }
+    // Widen whichever side falls short of the frame's aspect ratio
+    if (halfWidth / halfHeight > aspect) {
+      halfHeight = halfWidth / aspect
+    } else {
+      halfWidth = halfHeight * aspect
+    }
+    camera.left = -halfWidth * MARGIN
+    camera.right = halfWidth * MARGIN
+    camera.top = halfHeight * MARGIN
+    camera.bottom = -halfHeight * MARGIN
+    camera.near = 0.01
+    camera.far = distance + radius
+  }
+
+  camera.updateProjectionMatrix()
+  return camera
+}
+
+// The camera of a preview setting, turned `yaw` around the structure
+const previewCamera = (bounds, { camera, width, height }, yaw = START_YAW) => createCamera(bounds, camera === 'isometric'
+  ? { projection: 'orthographic', direction: viewDirection(yaw, ISOMETRIC_PITCH), aspect: width / height }
+  : { projection: 'perspective', direction: viewDirection(yaw, PERSPECTIVE_PITCH), aspect: width / height })
+
+// An offscreen WebGL renderer of a fixed size. headless-gl is a native module,
+// so it is only loaded once a preview is asked for and conversions keep
+// working where it failed to build.
+const createRenderTarget = async (width, height, background) => {
+  const { default: gl } = await import('gl')
+  const transparent = background === 'transparent'
+
+  const context = gl(width, height, {
+    preserveDrawingBuffer: true,
+    antialias: true,
+    alpha: transparent,
+    premultipliedAlpha: false
+  })
+  if (!context) {
+    throw new Error('Could not create a headless WebGL context for the preview')
+  }
+
+  // three only needs the canvas for its size and event listeners
+  const canvas = {
+    width,
+    height,
+    style: {},
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  }
+
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    context,
+    preserveDrawingBuffer: true,
+    alpha: transparent,
+    premultipliedAlpha: false
+  })
+  renderer.setSize(width, height)
+  renderer.setPixelRatio(1)
+  renderer.shadowMap.enabled = true
+  renderer.outputColorSpace = THREE.SRGBColorSpace
+  renderer.setClearColor(transparent ? 0x000000 : new THREE.Color(background), transparent ? 0 : 1)
+
+  return {
+    width,
+    height,
+    renderer,
+    context,
+    dispose: () => {
+      renderer.dispose()
+      context.getExtension('STACKGL_destroy_context')?.destroy()
+    }
+  }
+}
+
+// Render one frame and read its pixels back into a 2D canvas
+const renderFrame = ({ width, height, renderer, context }, scene, camera) => {
+  // The clear color stands in for the scene's own sky
+  const background = scene.background
+  scene.background = null
+  try {
+    renderer.render(scene, camera)
+  } finally {
+    scene.background = background
+  }
+
+  const pixels = new Uint8Array(width * height * 4)
+  context.readPixels(0, 0, width, height, context.RGBA, context.UNSIGNED_BYTE, pixels)
+
+  // WebGL rows run bottom to top, image rows top to bottom
+  const image = new ImageData(width, height)
+  const rowLength = width * 4
+  for (let row = 0; row < height; row++) {
+    const source = (height - row - 1) * rowLength
+    image.data.set(pixels.subarray(source, source + rowLength), row * rowLength)
+  }
+
+  const canvas = createCanvas(width, height)
+  canvas.getContext('2d').putImageData(image, 0, 0)
+  return canvas
+}
+
+/**
+ * Render a scene to a PNG image, framed on the given bounds.
+ *
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {THREE.Box3} bounds - Region the camera frames, in scene units
+ * @param {object} settings - Preview settings, as returned by previewSettings
+ * @returns {Promise<Buffer>} The PNG file
+ */
+const renderPreview = async (scene, bounds, settings) => {
+  const { width, height, background } = settings
+  const target = await createRenderTarget(width, height, background)
+  try {
+    return renderFrame(target, scene, previewCamera(bounds, settings)).toBuffer('image/png')
+  } finally {
+    target.dispose()
+  }
+}
+
+/**
+ * Render a scene from evenly spaced angles around it, plus straight top,
+ * front and side views, and lay the frames out on a sprite sheet.
+ *
+ * @param {THREE.Scene} scene - Scene to render
+ * @param {THREE.Box3} bounds - Region the cameras frame, in scene units
+ * @param {object} settings - Turntable settings, as returned by turntableSettings
+ * @returns {Promise<{ frames: Array<{ name: string, image: Buffer, x: number, y: number }>, sheet: Buffer }>}
+ *   Each frame as a PNG, named frame_00, frame_01, ... then top, front and side, with its
+ *   position on the sheet in pixels, and the sheet itself
+ */
+const renderTurntable = async (scene, bounds, settings) => {
+  const { width, height, background, frames: frameCount, views, columns, rows } = settings
+  const aspect = width / height
+  const spinRows = Math.ceil(frameCount / columns)
+
+  // Each frame's camera and its cell on the sheet
+  const cells = []
+  const digits = Math.max(2, String(frameCount - 1).length)
+  for (let i = 0; i < frameCount; i++) {
+    // The first frame matches the single preview; the camera then circles
+    // counterclockwise seen from above, so the structure spins clockwise
+    const yaw = START_YAW + i * 2 * Math.PI / frameCount
+    cells.push({
+      name: `frame_${String(i).padStart(digits, '0')}`,
+      camera: previewCamera(bounds, settings, yaw),
+      column: i % columns,
+      row: Math.floor(i / columns)
+    })
+  }
+  if (views) {
+    Object.entries(VIEWS).forEach(([name, { direction, up }], i) => {
+      cells.push({
+        name,
+        camera: createCamera(bounds, { projection: 'orthographic', direction, up, aspect }),
+        column: i % columns,
+        row: spinRows + Math.floor(i / columns)
+      })
+    })
+  }
+
+  const sheet = createCanvas(columns * width, rows * height)
+  const sheetContext = sheet.getContext('2d')
+  const target = await createRenderTarget(width, height, background)
+  try {
+    const frames = cells.map(({ name, camera, column, row }) => {
+      const frame = renderFrame(target, scene, camera)
+      const x = column * width
+      const y = row * height
+      sheetContext.drawImage(frame, x, y)
+      return { name, image: frame.toBuffer('image/png'), x, y }
+    })
+    return { frames, sheet: sheet.toBuffer('image/png') }
+  } finally {
+    target.dispose()
+  }
+}
+
+export {
+  PREVIEW_CAMERAS,
+  PREVIEW_DEFAULTS,
+  TURNTABLE_DEFAULTS,
+  previewSettings,
+  renderPreview,
+  renderTurntable,
+  turntableSettings
+}
@@ -0,0 +1,113 @@
+import minecraftData from 'minecraft-data'
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver from './blockstateresolver.js'
+
+// minecraft-data's flattening table: "id:meta" -> 1.13 block state string
+const LEGACY_BLOCKS = minecraftData.legacy.pc.blocks
+
+// Blocks renamed after the flattening table's 1.13 names
+const RENAMED_BLOCKS = {
+  'minecraft:sign': 'minecraft:oak_sign',
+  'minecraft:wall_sign': 'minecraft:oak_wall_sign',
+  'minecraft:stone_slab': 'minecraft:smooth_stone_slab'
+}
+
+// Dimensions are stored as shorts but are unsigned
+const dimension = (tag) => tag.value & 0xFFFF
+
+// Block ids above 255 keep their high bits in AddBlocks, two blocks per byte
+const blockId = (blocks, addBlocks, index) => {
+  const low = blocks[index] & 0xFF
+  const add = addBlocks?.[index >> 1]
+  if (add === undefined) return low
+  return (index & 1) === 0
+    ? ((add & 0x0F) << 8) + low
+    : ((add & 0xF0) << 4) + low
+}
+
+// Modern block state string for a legacy id and metadata. Metadata that the
+// table does not list (unused bits, orientations of removed blocks) falls
+// back to the block's default.
+const legacyBlockString = (id, meta) => {
+  const blockString = LEGACY_BLOCKS[`${id}:${meta}`] || LEGACY_BLOCKS[`${id}:0`]
+  if (!blockString) return null
+
+  const [name, ...rest] = blockString.split('[')
+  const renamed = RENAMED_BLOCKS[name]
+  return renamed ? [renamed, ...rest].join('[') : blockString
+}
+
+// MCEdit/WorldEdit schematics from before 1.13 (.schematic): numeric block ids
+// and metadata in `Blocks` and `Data` byte arrays
+const schematicReader = {
+  format: 'schematic',
+
+  detect(nbt) {
+    return nbt.value.Blocks?.type === 'byteArray' &&
+      nbt.value.Data?.type === 'byteArray' &&
+      !!nbt.value.Width
+  },
+
+  // Legacy schematics predate DataVersion; their blocks are translated to
+  // 1.13 names, which the default version still understands
+  dataVersion() {
+    return null
+  },
+
+  read(nbt, mcModules) {
+    const root = nbt.value
+    if (root.Materials && root.Materials.value !== 'Alpha') {
+      throw new Error(`Unsupported schematic materials: ${root.Materials.value} (only Alpha, the Java Edition ids, is supported)`)
+    }
+
+    const size = {
+      x: dimension(root.Width),
+      y: dimension(root.Height),
+      z: dimension(root.Length)
+    }
+    const grid = new VoxelGrid(size)
+    const resolver = new BlockStateResolver(grid, mcModules)
+
+    const blocks = root.Blocks.value
+    const data = root.Data.value
+    const addBlocks = root.AddBlocks?.value
+    const volume = size.x * size.y * size.z
+    if (blocks.length < volume) {
+      throw new Error(`Schematic has ${blocks.length} blocks, expected ${volume}`)
+    }
+
+    const states = new Map()
+    const unknownIds = new Set()
+
+    // Blocks are ordered x first, then z, then y
+    let index = 0
+    for (let y = 0; y < size.y; y++) {
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++, index++) {
+          const id = blockId(blocks, addBlocks, index)
+          if (id === 0) continue
+
+          const key = `${id}:${data[index] & 0x0F}`
+          if (!states.has(key)) {
+            const blockString = legacyBlockString(id, data[index] & 0x0F)
+            if (!blockString) unknownIds.add(key)
+            states.set(key, blockString ? resolver.resolveString(blockString) : 0)
+          }
+
+          const stateIndex = states.get(key)
+          if (stateIndex) grid.set(x, y, z, stateIndex)
+        }
+      }
+    }
+
+    return {
+      grid,
+      unknownBlocks: [
+        ...resolver.unknownBlocks,
+        ...[...unknownIds].map(key => `legacy id ${key}`)
+      ]
+    }
+  }
+}
+
+export default schematicReader
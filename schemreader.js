@@ -0,0 +1,91 @@
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver from './blockstateresolver.js'
+
+// Sponge schematic contents. Version 3 nests them in a `Schematic` compound
+// and moves the palette and block data into `Blocks`; versions 1 and 2 keep
+// everything at the root.
+const schematicRoot = (nbt) => nbt.value.Schematic?.type === 'compound'
+  ? nbt.value.Schematic.value
+  : nbt.value
+
+const blockContainer = (root) => root.Blocks?.type === 'compound'
+  ? { palette: root.Blocks.value.Palette, data: root.Blocks.value.Data }
+  : { palette: root.Palette, data: root.BlockData }
+
+// Dimensions are stored as shorts but are unsigned
+const dimension = (tag) => tag.value & 0xFFFF
+
+// Block data is a byte array of varints, one palette index per block
+const readVarints = (bytes) => {
+  const values = []
+  let value = 0
+  let shift = 0
+  for (const byte of bytes) {
+    value |= (byte & 0x7F) << shift
+    if (byte & 0x80) {
+      shift += 7
+      if (shift > 28) throw new Error('Malformed varint in schematic block data')
+    } else {
+      values.push(value)
+      value = 0
+      shift = 0
+    }
+  }
+  return values
+}
+
+// WorldEdit's Sponge Schematic format (.schem), versions 1 to 3
+const schemReader = {
+  format: 'schem',
+
+  detect(nbt) {
+    const { palette, data } = blockContainer(schematicRoot(nbt))
+    return palette?.type === 'compound' && data?.type === 'byteArray'
+  },
+
+  dataVersion(nbt) {
+    return schematicRoot(nbt).DataVersion?.value ?? null
+  },
+
+  read(nbt, mcModules) {
+    const root = schematicRoot(nbt)
+    const size = {
+      x: dimension(root.Width),
+      y: dimension(root.Height),
+      z: dimension(root.Length)
+    }
+    const grid = new VoxelGrid(size)
+    const resolver = new BlockStateResolver(grid, mcModules)
+
+    // Palette maps block state strings to the indices used in the block data
+    const { palette, data } = blockContainer(root)
+    const states = []
+    for (const [blockString, index] of Object.entries(palette.value)) {
+      states[index.value] = resolver.resolveString(blockString)
+    }
+
+    // Blocks are ordered x first, then z, then y
+    let index = 0
+    const volume = size.x * size.y * size.z
+    for (const paletteIndex of readVarints(data.value)) {
+      if (index >= volume) break
+
+      const stateIndex = states[paletteIndex]
+      if (stateIndex) {
+        const x = index % size.x
+        const z = Math.floor(index / size.x) % size.z
+        const y = Math.floor(index / (size.x * size.z))
+        grid.set(x, y, z, stateIndex)
+      }
+      index++
+    }
+
+    if (index < volume) {
+      throw new Error(`Schematic block data ends after ${index} of ${volume} blocks`)
+    }
+
+    return { grid, unknownBlocks: [...resolver.unknownBlocks] }
+  }
+}
+
+export default schemReader
@@ -0,0 +1,402 @@
+import express from 'express'
+import fileUpload from 'express-fileupload'
+import path from 'path'
+import { randomUUID } from 'crypto'
+import { pathToFileURL } from 'url'
+import {
+  FORMATS,
+  OUTPUT_EXTENSIONS,
+  checkOptions,
+  convertStructure,
+  serializeOutput
+} from './converter.js'
+import logger from './logger.js'
+import { previewSettings, turntableSettings } from './preview.js'
+
+const DEFAULT_PORT = 3000
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024
+const JOB_TTL_MS = 60 * 60 * 1000
+// Conversions waiting or running, from /convert and /jobs together
+const MAX_PENDING = 10
+// Jobs kept at once, finished ones included until collected or expired
+const MAX_JOBS = 100
+
+const CONTENT_TYPES = {
+  gltf: 'model/gltf+json',
+  glb: 'model/gltf-binary'
+}
+
+// 'separate' produces several files, which a single response cannot carry
+const HTTP_FORMATS = FORMATS.filter(format => format in CONTENT_TYPES)
+
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'RequestError'
+    this.status = status
+  }
+}
+
+// Boolean form fields are sent as "true" or "1"
+const readFlag = (fields, name) => ['1', 'true'].includes(String(fields[name]).toLowerCase())
+
+// Optional number form fields; undefined when absent. Text that is not a
+// number is kept as sent, so the error from checkOptions quotes it.
+const readNumber = (fields, name) => {
+  if (fields[name] === undefined || fields[name] === '') return undefined
+  const value = Number(fields[name])
+  return Number.isNaN(value) ? fields[name] : value
+}
+
+// Preview and turntable settings from the render fields; each is false when
+// not asked for
+const readRenders = (fields) => {
+  const image = {}
+  const width = readNumber(fields, 'previewWidth')
+  const height = readNumber(fields, 'previewHeight')
+  if (width !== undefined) image.width = width
+  if (height !== undefined) image.height = height
+  if (fields.previewCamera) image.camera = fields.previewCamera.toLowerCase()
+  if (fields.background) image.background = fields.background
+
+  const turntable = { ...image, frames: readNumber(fields, 'turntable') }
+  const columns = readNumber(fields, 'sheetColumns')
+  if (columns !== undefined) turntable.columns = columns
+
+  try {
+    return {
+      preview: readFlag(fields, 'preview') ? previewSettings(image) : false,
+      turntable: turntable.frames !== undefined ? turntableSettings(turntable) : false
+    }
+  } catch (error) {
+    throw new RequestError(error.message)
+  }
+}
+
+// Fields that ask for rendered images. Only jobs keep their images for the
+// client to fetch, so /convert refuses them rather than render for nothing.
+const RENDER_FIELDS = [
+  'preview', 'previewWidth', 'previewHeight', 'previewCamera', 'background',
+  'turntable', 'sheetColumns'
+]
+
+// Read the uploaded structure and conversion options from a multipart
+// request; `renders` allows the render fields
+const readConversionRequest = (req, { renders = false } = {}) => {
+  const file = req.files?.file
+  if (!file) {
+    throw new RequestError('Missing upload: send the structure as multipart field "file"')
+  }
+  if (Array.isArray(file)) {
+    throw new RequestError('Only one file can be converted per request')
+  }
+
+  // A field sent twice arrives as an array
+  const fields = req.body || {}
+  const repeated = Object.keys(fields).find(name => typeof fields[name] !== 'string')
+  if (repeated) {
+    throw new RequestError(`${repeated} must be sent once`)
+  }
+  if (!renders) {
+    const field = RENDER_FIELDS.find(name => fields[name] !== undefined && fields[name] !== '')
+    if (field) {
+      throw new RequestError(`${field} is only accepted by POST /jobs, whose images can be fetched afterwards`)
+    }
+  }
+
+  const format = (fields.format || 'gltf').toLowerCase()
+  if (!HTTP_FORMATS.includes(format)) {
+    throw new RequestError(`Unsupported format: ${fields.format} (expected one of ${HTTP_FORMATS.join(', ')})`)
+  }
+
+  const name = path.basename(file.name, path.extname(file.name)) || 'structure'
+  const options = {
+    version: fields.version || undefined,
+    format,
+    scale: readNumber(fields, 'scale'),
+    greedy: readFlag(fields, 'greedy'),
+    splitRegions: readFlag(fields, 'splitRegions'),
+    ambientOcclusion: readFlag(fields, 'ambientOcclusion'),
+    light: readFlag(fields, 'light'),
+    skyLight: readNumber(fields, 'skyLight'),
+    emissiveLevels: readFlag(fields, 'emissiveLevels'),
+    palette: readNumber(fields, 'palette'),
+    paletteSeed: readNumber(fields, 'paletteSeed'),
+    biome: fields.biome || undefined,
+    temperature: readNumber(fields, 'temperature'),
+    downfall: readNumber(fields, 'downfall'),
+    ...(renders ? readRenders(fields) : {}),
+    name
+  }
+  try {
+    checkOptions(options)
+  } catch (error) {
+    throw new RequestError(error.message)
+  }
+
+  return {
+    buffer: file.data,
+    fileName: `${name}.${OUTPUT_EXTENSIONS[format]}`,
+    options
+  }
+}
+
+const sendOutput = (res, { gltf, report }, fileName) => {
+  res.set('Content-Type', CONTENT_TYPES[report.format])
+  res.attachment(fileName)
+  res.send(serializeOutput(gltf))
+}
+
+// Conversions are CPU bound, so they run one after another: jobs in the
+// background, /convert requests while the client waits. Finished jobs are kept
+// for a while for the client to collect.
+class JobQueue {
+  constructor({
+    ttl = JOB_TTL_MS,
+    maxPending = MAX_PENDING,
+    maxJobs = MAX_JOBS,
+    logger: jobLogger = logger
+  } = {}) {
+    this.jobs = new Map()
+    this.ttl = ttl
+    this.maxPending = maxPending
+    this.maxJobs = maxJobs
+    this.logger = jobLogger
+    this.pending = 0
+    this.tail = Promise.resolve()
+  }
+
+  // Run `task` once everything scheduled before it has finished; resolves
+  // with its result
+  schedule(task) {
+    if (this.pending >= this.maxPending) {
+      throw new RequestError('Too many conversions are waiting; try again later', 503)
+    }
+    this.pending++
+    const run = this.tail.then(task).finally(() => { this.pending-- })
+    this.tail = run.catch(() => {})
+    return run
+  }
+
+  add({ buffer, fileName, options }) {
+    if (this.jobs.size >= this.maxJobs) {
+      throw new RequestError('Too many jobs are stored; collect or delete finished jobs first', 503)
+    }
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      fileName,
+      preview: !!options.preview,
+      turntable: !!options.turntable,
+      createdAt: new Date().toISOString(),
+      report: null,
+      error: null,
+      result: null
+    }
+    this.schedule(() => this.run(job, buffer, options))
+    this.jobs.set(job.id, job)
+    return job
+  }
+
+  async run(job, buffer, options) {
+    job.status = 'running'
+    try {
+      job.result = await convertStructure(buffer, { ...options, logger: this.logger })
+      job.report = job.result.report
+      job.status = 'done'
+    } catch (error) {
+      this.logger.error(`Job ${job.id} failed:`, error.message)
+      job.error = error.message
+      job.status = 'failed'
+    }
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.ttl)
+    timer.unref()
+  }
+
+  get(id) {
+    return this.jobs.get(id)
+  }
+
+  delete(id) {
+    return this.jobs.delete(id)
+  }
+
+  counts() {
+    const counts = { queued: 0, running: 0, done: 0, failed: 0 }
+    for (const job of this.jobs.values()) {
+      counts[job.status]++
+    }
+    return counts
+  }
+}
+
+const describeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  fileName: job.fileName,
+  createdAt: job.createdAt,
+  report: job.report,
+  error: job.error,
+  statusUrl: `/jobs/${job.id}`,
+  resultUrl: `/jobs/${job.id}/result`,
+  previewUrl: job.preview ? `/jobs/${job.id}/preview` : null,
+  sheetUrl: job.turntable ? `/jobs/${job.id}/sheet` : null,
+  frameUrls: job.turntable && job.report
+    ? job.report.turntable.sheetFrames.map(({ name }) => `/jobs/${job.id}/frames/${name}`)
+    : null
+})
+
+/**
+ * Build the conversion HTTP app.
+ *
+ * POST /convert          convert an uploaded structure and return the file
+ * POST /jobs             queue a conversion, returns 202 with the job
+ * GET  /jobs/:id         job status and report
+ * GET  /jobs/:id/result  converted file once the job is done
+ * GET  /jobs/:id/preview PNG preview of a done job that asked for one
+ * GET  /jobs/:id/sheet   turntable sprite sheet of a done job that asked for one
+ * GET  /jobs/:id/frames/:name  one turntable frame (frame_00, ..., top, front, side)
+ * DELETE /jobs/:id       drop a job and its result
+ * GET  /health           liveness and queue counts
+ *
+ * Uploads go in multipart field "file"; optional fields are version, format,
+ * scale, greedy, splitRegions, ambientOcclusion, light and emissiveLevels
+ * ("true" or "1"), skyLight, palette, paletteSeed, biome, temperature and
+ * downfall, with the same meaning as the CLI flags. A job sent with preview
+ * ("true" or "1") also renders a PNG preview, sized by previewWidth and
+ * previewHeight and styled by previewCamera and background; /convert answers
+ * these fields with a 400, as it has no way to return the image. turntable (a
+ * number of angles) renders turntable frames and a sprite sheet the same way,
+ * laid out by sheetColumns, and is refused by /convert just the same.
+ *
+ * Conversions from both endpoints share one queue. Once maxPending of them
+ * are waiting or running, or maxJobs jobs are stored, new ones get a 503.
+ */
+const createServer = (options = {}) => {
+  const {
+    maxUploadBytes = MAX_UPLOAD_BYTES,
+    jobTtl = JOB_TTL_MS,
+    maxPending = MAX_PENDING,
+    maxJobs = MAX_JOBS,
+    logger: serverLogger = logger
+  } = options
+
+  const app = express()
+  const jobs = new JobQueue({ ttl: jobTtl, maxPending, maxJobs, logger: serverLogger })
+
+  app.use(fileUpload({
+    limits: { fileSize: maxUploadBytes },
+    abortOnLimit: true,
+    responseOnLimit: JSON.stringify({ error: `Upload exceeds ${maxUploadBytes} bytes` })
+  }))
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', jobs: jobs.counts() })
+  })
+
+  app.post('/convert', async (req, res, next) => {
+    try {
+      const { buffer, fileName, options: conversionOptions } = readConversionRequest(req)
+      const result = await jobs.schedule(() => convertStructure(buffer, { ...conversionOptions, logger: serverLogger }))
+      sendOutput(res, result, fileName)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  app.post('/jobs', (req, res, next) => {
+    try {
+      const job = jobs.add(readConversionRequest(req, { renders: true }))
+      res.status(202).location(`/jobs/${job.id}`).json(describeJob(job))
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  app.get('/jobs/:id', (req, res, next) => {
+    const job = jobs.get(req.params.id)
+    if (!job) return next(new RequestError('Job not found', 404))
+    res.json(describeJob(job))
+  })
+
+  app.get('/jobs/:id/result', (req, res, next) => {
+    const job = jobs.get(req.params.id)
+    if (!job) return next(new RequestError('Job not found', 404))
+    if (job.status === 'failed') return next(new RequestError(`Job failed: ${job.error}`, 422))
+    if (job.status !== 'done') return next(new RequestError(`Job is ${job.status}`, 409))
+    sendOutput(res, job.result, job.fileName)
+  })
+
+  // The images a finished job rendered; `kind` is 'preview' or 'turntable'
+  const findRenderedJob = (id, kind) => {
+    const job = jobs.get(id)
+    if (!job) throw new RequestError('Job not found', 404)
+    if (!job[kind]) throw new RequestError(`Job was not asked for a ${kind}`, 404)
+    if (job.status === 'failed') throw new RequestError(`Job failed: ${job.error}`, 422)
+    if (job.status !== 'done') throw new RequestError(`Job is ${job.status}`, 409)
+    return job
+  }
+
+  const sendImage = (res, image) => {
+    res.set('Content-Type', 'image/png')
+    res.send(image)
+  }
+
+  app.get('/jobs/:id/preview', (req, res, next) => {
+    try {
+      sendImage(res, findRenderedJob(req.params.id, 'preview').result.preview)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  app.get('/jobs/:id/sheet', (req, res, next) => {
+    try {
+      sendImage(res, findRenderedJob(req.params.id, 'turntable').result.turntable.sheet)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  app.get('/jobs/:id/frames/:name', (req, res, next) => {
+    try {
+      const { frames } = findRenderedJob(req.params.id, 'turntable').result.turntable
+      const frame = frames.find(candidate => candidate.name === req.params.name)
+      if (!frame) throw new RequestError(`No frame named ${req.params.name}`, 404)
+      sendImage(res, frame.image)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  app.delete('/jobs/:id', (req, res, next) => {
+    if (!jobs.delete(req.params.id)) return next(new RequestError('Job not found', 404))
+    res.status(204).end()
+  })
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' })
+  })
+
+  // Express recognizes error handlers by their four arguments
+  app.use((error, req, res, next) => {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    serverLogger.error('Conversion failed:', error.message)
+    res.status(422).json({ error: `Conversion failed: ${error.message}` })
+  })
+
+  return app
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT
+  createServer().listen(port, () => {
+    logger.info(`Conversion server listening on port ${port}`)
+  })
+}
+
+export { createServer }
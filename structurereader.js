@@ -0,0 +1,88 @@
+import { simplify } from 'prismarine-nbt'
+import VoxelGrid from './voxelgrid.js'
+import BlockStateResolver from './blockstateresolver.js'
+import defaultLogger from './logger.js'
+
+// Deterministic random number in [0, 1) for a seed (mulberry32)
+const seededRandom = (seed) => {
+  let t = (seed + 0x6D2B79F5) | 0
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+// Some vanilla structures (shipwrecks, for one) carry a `palettes` list of
+// alternative palettes instead of a single `palette`; the game picks one at
+// random when placing them. Returns the chosen palette's entries.
+// With a single `palette` there is nothing to choose: any index but 0 is an
+// error, and a seed is ignored with a warning.
+const choosePalette = (nbt, { palette: index, paletteSeed, logger = defaultLogger }) => {
+  if (nbt.value.palette) {
+    if (index > 0) {
+      throw new Error(`Palette ${index} does not exist; the structure has 1 palette`)
+    }
+    if (paletteSeed !== undefined) {
+      logger.warn('The structure has a single palette, so the palette seed has no effect')
+    }
+    return { entries: nbt.value.palette.value.value, index: null, count: 1 }
+  }
+
+  const palettes = nbt.value.palettes?.value.value
+  if (!palettes || palettes.length === 0) {
+    throw new Error('Structure has neither a `palette` nor a `palettes` list')
+  }
+
+  const count = palettes.length
+  if (index === undefined) {
+    index = paletteSeed === undefined ? 0 : Math.floor(seededRandom(paletteSeed) * count)
+  } else if (index >= count) {
+    throw new Error(`Palette ${index} does not exist; the structure has ${count} palettes`)
+  }
+  return { entries: palettes[index].value, index, count }
+}
+
+// Vanilla structure block files (.nbt): a `size`, a `palette` of block
+// states and a `blocks` list of positions pointing into the palette
+const structureReader = {
+  format: 'structure',
+
+  detect(nbt) {
+    return !!(nbt.value.size && nbt.value.blocks && nbt.value.blocks.type === 'list')
+  },
+
+  dataVersion(nbt) {
+    return nbt.value.DataVersion?.value ?? null
+  },
+
+  read(nbt, mcModules, options = {}) {
+    const size = {
+      x: nbt.value.size.value.value[0],
+      y: nbt.value.size.value.value[1],
+      z: nbt.value.size.value.value[2],
+    }
+    const grid = new VoxelGrid(size)
+    const resolver = new BlockStateResolver(grid, mcModules)
+
+    // Resolve each palette entry to a grid state once
+    const chosen = choosePalette(nbt, options)
+    const palette = chosen.entries.map(block =>
+      resolver.resolve(block.Name.value, block.Properties ? simplify(block.Properties) : {})
+    )
+
+    for (const block of nbt.value.blocks.value.value) {
+      const stateIndex = palette[block.state.value]
+      if (!stateIndex) continue
+
+      const [x, y, z] = block.pos.value.value
+      grid.set(x, y, z, stateIndex)
+    }
+
+    return {
+      grid,
+      unknownBlocks: [...resolver.unknownBlocks],
+      palette: chosen.index === null ? null : { index: chosen.index, count: chosen.count }
+    }
+  }
+}
+
+export default structureReader
@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import GreedyMesher from '../greedymesher.js'
+
+test('merges a 2x2 patch of matching faces into one quad', () => {
+  const mesher = new GreedyMesher()
+  for (const [x, z] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+    mesher.addFace('up', [x, 3, z], 'stone')
+  }
+
+  assert.deepEqual(mesher.quads(), [
+    { face: 'up', texture: 'stone', from: [0, 3, 0], to: [2, 4, 2], repeat: [2, 2] }
+  ])
+})
+
+test('keeps different textures and faces apart', () => {
+  const mesher = new GreedyMesher()
+  mesher.addFace('north', [0, 0, 5], 'stone')
+  mesher.addFace('north', [1, 0, 5], 'dirt')
+  mesher.addFace('south', [2, 0, 5], 'stone')
+
+  const quads = mesher.quads()
+  assert.equal(quads.length, 3)
+  assert.deepEqual(quads.map(quad => quad.repeat), [[1, 1], [1, 1], [1, 1]])
+})
+
+test('grows along u before v, leaving an L shape as two quads', () => {
+  const mesher = new GreedyMesher()
+  for (const [x, y] of [[0, 0], [1, 0], [0, 1]]) {
+    mesher.addFace('south', [x, y, 0], 'planks')
+  }
+
+  assert.deepEqual(mesher.quads().map(({ from, to }) => [from, to]), [
+    [[0, 0, 0], [2, 1, 1]],
+    [[0, 1, 0], [1, 2, 1]]
+  ])
+})
+
+test('ignores faces that are not block sides', () => {
+  const mesher = new GreedyMesher()
+  assert.equal(mesher.addFace('inside', [0, 0, 0], 'stone'), false)
+  assert.deepEqual(mesher.quads(), [])
+})
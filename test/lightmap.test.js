@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import VoxelGrid from '../voxelgrid.js'
+import LightMap from '../lightmap.js'
+
+const EMITTED = { glowstone: 15, torch: 14 }
+const FILTERED = { stone: 15, oak_leaves: 1 }
+
+// A grid with the given blocks ({ "x,y,z": name }) and the rest air
+const lightMap = (size, blocks) => {
+  const grid = new VoxelGrid(size)
+  for (const [position, name] of Object.entries(blocks)) {
+    const [x, y, z] = position.split(',').map(Number)
+    grid.set(x, y, z, grid.addState({ type: name, name }))
+  }
+  return new LightMap(grid, {
+    emitted: (state) => EMITTED[state.name] || 0,
+    filtered: (state) => FILTERED[state.name] || 0
+  })
+}
+
+test('block light falls off by one level per block of air', () => {
+  const light = lightMap({ x: 6, y: 1, z: 1 }, { '0,0,0': 'torch' })
+  assert.deepEqual([0, 1, 2, 3, 4, 5].map(x => light.get(x, 0, 0).block), [14, 13, 12, 11, 10, 9])
+})
+
+test('solid blocks stop block light, which goes around them instead', () => {
+  const light = lightMap({ x: 3, y: 1, z: 2 }, { '0,0,0': 'glowstone', '1,0,0': 'stone' })
+  assert.equal(light.get(1, 0, 0).block, 0)
+  // Around the stone through z=1: 0,0,1 -> 1,0,1 -> 2,0,1 -> 2,0,0
+  assert.equal(light.get(2, 0, 0).block, 11)
+})
+
+test('sky light reaches open columns at full strength', () => {
+  const light = lightMap({ x: 1, y: 4, z: 1 }, {})
+  assert.deepEqual([0, 1, 2, 3].map(y => light.get(0, y, 0).sky), [15, 15, 15, 15])
+  // Beyond the grid is open sky
+  assert.deepEqual(light.get(-5, 0, 0), { block: 0, sky: 15 })
+})
+
+test('leaves dim sky light and roofs shade what is under them', () => {
+  // A stone roof over a 3x3 floor, with leaves in one corner
+  const blocks = {}
+  for (let x = 0; x < 3; x++) {
+    for (let z = 0; z < 3; z++) {
+      blocks[`${x},2,${z}`] = 'stone'
+    }
+  }
+  blocks['0,2,0'] = 'oak_leaves'
+  const light = lightMap({ x: 3, y: 3, z: 3 }, blocks)
+
+  // Straight down through the leaves loses one level
+  assert.equal(light.get(0, 1, 0).sky, 14)
+  // The middle under the roof is lit from the open sides only, two blocks away
+  assert.equal(light.get(1, 1, 1).sky, 13)
+})
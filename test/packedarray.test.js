@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { unpackSpanning, unpackPadded } from '../packedarray.js'
+
+// Pack values into longs the way prismarine-nbt hands them over: [high, low]
+// pairs of signed 32-bit words. `perLong` packs whole values per long.
+const pack = (values, bitsPerValue, perLong = null) => {
+  const longs = []
+  let bit = 0
+  for (const value of values) {
+    if (perLong && bit % 64 + bitsPerValue > 64) bit = Math.ceil(bit / 64) * 64
+    for (let b = 0; b < bitsPerValue; b++, bit++) {
+      const long = bit >> 6
+      longs[long] ??= 0n
+      if (value & (1 << b)) longs[long] |= 1n << BigInt(bit & 63)
+    }
+  }
+  return [...longs].map(long => [
+    Number(BigInt.asIntN(32, long >> 32n)),
+    Number(BigInt.asIntN(32, long & 0xFFFFFFFFn))
+  ])
+}
+
+const VALUES = Array.from({ length: 20 }, (_, i) => (i * 7 + 3) % 32)
+
+test('reads a 5-bit entry spanning two longs', () => {
+  // Entry 12 takes bits 60-64, the last four of the first long and the first
+  // of the second
+  const values = [...VALUES]
+  values[12] = 0b11011
+  const longs = pack(values, 5)
+  assert.equal(longs.length, 2)
+
+  assert.deepEqual([...unpackSpanning(longs, 5, values.length)], values)
+})
+
+test('reads words with the sign bit set', () => {
+  const values = new Array(13).fill(31)
+  assert.deepEqual([...unpackSpanning(pack(values, 5), 5, 13)], values)
+})
+
+test('skips the unused high bits of padded longs', () => {
+  // Twelve 5-bit entries fill 60 bits; entry 12 starts the second long
+  const values = [...VALUES]
+  values[12] = 0b10101
+  const longs = pack(values, 5, true)
+  assert.equal(longs.length, 2)
+
+  assert.deepEqual([...unpackPadded(longs, 5, values.length)], values)
+  assert.notDeepEqual([...unpackSpanning(longs, 5, values.length)], values)
+})
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import minecraftData from 'minecraft-data'
+import prismarineBlock from 'prismarine-block'
+import schemReader from '../schemreader.js'
+
+const VERSION = '1.20.2'
+const mcModules = { Block: prismarineBlock(VERSION), mcData: minecraftData(VERSION) }
+
+// A version 2 Sponge schematic as prismarine-nbt parses it
+const schematic = ({ width, height, length, palette, blockData }) => ({
+  type: 'compound',
+  value: {
+    Version: { type: 'int', value: 2 },
+    DataVersion: { type: 'int', value: 3578 },
+    Width: { type: 'short', value: width },
+    Height: { type: 'short', value: height },
+    Length: { type: 'short', value: length },
+    Palette: {
+      type: 'compound',
+      value: Object.fromEntries(Object.entries(palette).map(([name, index]) => [name, { type: 'int', value: index }]))
+    },
+    BlockData: { type: 'byteArray', value: blockData }
+  }
+})
+
+test('reads palette indices of more than one varint byte', () => {
+  // 200 is stored as 0xC8 0x01
+  const nbt = schematic({
+    width: 2,
+    height: 1,
+    length: 1,
+    palette: { 'minecraft:air': 0, 'minecraft:stone': 1, 'minecraft:oak_planks': 200 },
+    blockData: [0xC8, 0x01, 0x01]
+  })
+
+  assert.equal(schemReader.detect(nbt), true)
+  const { grid } = schemReader.read(nbt, mcModules)
+  assert.equal(grid.get(0, 0, 0).name, 'oak_planks')
+  assert.equal(grid.get(1, 0, 0).name, 'stone')
+})
+
+test('orders blocks x first, then z, then y', () => {
+  // 3 wide, 2 long, 2 high: index 1 is x=1, index 3 is z=1 and index 6 is y=1
+  const blockData = new Array(12).fill(0)
+  blockData[1] = 1
+  blockData[3] = 2
+  blockData[6] = 3
+  const nbt = schematic({
+    width: 3,
+    height: 2,
+    length: 2,
+    palette: { 'minecraft:air': 0, 'minecraft:stone': 1, 'minecraft:dirt': 2, 'minecraft:glass': 3 },
+    blockData
+  })
+
+  const { grid } = schemReader.read(nbt, mcModules)
+  assert.deepEqual(grid.size, { x: 3, y: 2, z: 2 })
+  assert.equal(grid.get(1, 0, 0).name, 'stone')
+  assert.equal(grid.get(0, 0, 1).name, 'dirt')
+  assert.equal(grid.get(0, 1, 0).name, 'glass')
+  assert.equal(grid.blockCount, 3)
+})
+
+test('rejects a varint longer than five bytes', () => {
+  const nbt = schematic({
+    width: 1,
+    height: 1,
+    length: 1,
+    palette: { 'minecraft:stone': 0 },
+    blockData: [0x80, 0x80, 0x80, 0x80, 0x80, 0x01]
+  })
+
+  assert.throws(() => schemReader.read(nbt, mcModules), /Malformed varint/)
+})
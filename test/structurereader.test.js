@@ -0,0 +1,105 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import minecraftData from 'minecraft-data'
+import prismarineBlock from 'prismarine-block'
+import structureReader from '../structurereader.js'
+
+const VERSION = '1.20.2'
+const mcModules = { Block: prismarineBlock(VERSION), mcData: minecraftData(VERSION) }
+
+const paletteEntries = (names) => names.map(name => ({ Name: { type: 'string', value: `minecraft:${name}` } }))
+
+// A one block structure file as prismarine-nbt parses it, with either a
+// single `palette` or a `palettes` list of alternatives
+const structure = ({ palette, palettes }) => ({
+  type: 'compound',
+  value: {
+    size: { type: 'list', value: { type: 'int', value: [1, 1, 1] } },
+    blocks: {
+      type: 'list',
+      value: {
+        type: 'compound',
+        value: [{
+          pos: { type: 'list', value: { type: 'int', value: [0, 0, 0] } },
+          state: { type: 'int', value: 0 }
+        }]
+      }
+    },
+    ...(palette && { palette: { type: 'list', value: { type: 'compound', value: paletteEntries(palette) } } }),
+    ...(palettes && {
+      palettes: {
+        type: 'list',
+        value: {
+          type: 'list',
+          value: palettes.map(names => ({ type: 'compound', value: paletteEntries(names) }))
+        }
+      }
+    })
+  }
+})
+
+const quietLogger = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} }
+const alternatives = structure({ palettes: [['stone'], ['dirt'], ['glass']] })
+
+test('reads a single palette', () => {
+  const { grid, palette } = structureReader.read(structure({ palette: ['stone'] }), mcModules)
+  assert.equal(grid.get(0, 0, 0).name, 'stone')
+  assert.equal(palette, null)
+})
+
+test('refuses a palette index past a single palette', () => {
+  assert.throws(
+    () => structureReader.read(structure({ palette: ['stone'] }), mcModules, { palette: 1 }),
+    /Palette 1 does not exist; the structure has 1 palette$/
+  )
+})
+
+test('warns that a seed has no effect on a single palette', () => {
+  const warnings = []
+  const logger = { ...quietLogger, warn: (message) => warnings.push(message) }
+  const { grid } = structureReader.read(structure({ palette: ['stone'] }), mcModules, { paletteSeed: 7, logger })
+  assert.equal(grid.get(0, 0, 0).name, 'stone')
+  assert.equal(warnings.length, 1)
+})
+
+test('picks a palette from the list by index', () => {
+  const { grid, palette } = structureReader.read(alternatives, mcModules, { palette: 2 })
+  assert.equal(grid.get(0, 0, 0).name, 'glass')
+  assert.deepEqual(palette, { index: 2, count: 3 })
+})
+
+test('uses the first palette of the list by default', () => {
+  const { grid } = structureReader.read(alternatives, mcModules)
+  assert.equal(grid.get(0, 0, 0).name, 'stone')
+})
+
+test('refuses a palette index past the list', () => {
+  assert.throws(
+    () => structureReader.read(alternatives, mcModules, { palette: 3 }),
+    /Palette 3 does not exist; the structure has 3 palettes/
+  )
+})
+
+test('picks the same palette for the same seed', () => {
+  const picks = [1, 2, 3, 4, 5].map(seed =>
+    structureReader.read(alternatives, mcModules, { paletteSeed: seed }).palette.index
+  )
+  const again = [1, 2, 3, 4, 5].map(seed =>
+    structureReader.read(alternatives, mcModules, { paletteSeed: seed }).palette.index
+  )
+  assert.deepEqual(picks, again)
+  assert.ok(picks.every(index => index >= 0 && index < 3))
+  // Different seeds reach more than one palette
+  assert.ok(new Set(picks).size > 1)
+})
+
+test('refuses a structure without palettes', () => {
+  assert.throws(
+    () => structureReader.read(structure({}), mcModules),
+    /neither a `palette` nor a `palettes` list/
+  )
+  assert.throws(
+    () => structureReader.read(structure({ palettes: [] }), mcModules),
+    /neither a `palette` nor a `palettes` list/
+  )
+})
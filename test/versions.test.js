@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import minecraftData from 'minecraft-data'
+import { versionForDataVersion } from '../versions.js'
+
+// Releases with a DataVersion in the installed minecraft-data, oldest first
+const releases = minecraftData.supportedVersions.pc.filter(version =>
+  /^\d+\.\d+(\.\d+)?$/.test(version) &&
+  Number.isInteger(minecraftData.versionsByMinecraftVersion.pc[version]?.dataVersion)
+)
+
+test('matches the release a DataVersion belongs to', () => {
+  assert.equal(versionForDataVersion(1343), '1.12.2')
+  assert.equal(versionForDataVersion(3578), '1.20.2')
+})
+
+test('uses the newest release not newer than the file', () => {
+  // Between 1.20 (3463) and 1.20.1 (3465)
+  assert.equal(versionForDataVersion(3464), '1.20')
+})
+
+test('never picks snapshots or pre-releases', () => {
+  assert.equal(versionForDataVersion(1629), '1.13.1') // 1.13.2-pre1
+  assert.equal(versionForDataVersion(1457), '1.12.2') // 17w50a
+  assert.equal(versionForDataVersion(2565), '1.15.2') // 1.16-rc1
+  assert.equal(versionForDataVersion(2695), '1.16.4') // 21w07a
+})
+
+test('falls back to the oldest release for older files', () => {
+  assert.equal(versionForDataVersion(-1000), releases[0])
+})
+
+test('uses the newest release for files newer than every release', () => {
+  assert.equal(versionForDataVersion(1000000), releases[releases.length - 1])
+})
+
+test('returns null without a DataVersion', () => {
+  assert.equal(versionForDataVersion(undefined), null)
+})
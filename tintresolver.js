@@ -0,0 +1,157 @@
+// Climate of the vanilla overworld biomes, which picks the grass and foliage
+// colors from the colormaps. A few biomes override those colors outright, and
+// water takes its color from the biome directly.
+const BIOMES = {
+  badlands: { temperature: 2.0, downfall: 0.0, grass: 0x90814D, foliage: 0x9E814D },
+  bamboo_jungle: { temperature: 0.95, downfall: 0.9 },
+  beach: { temperature: 0.8, downfall: 0.4 },
+  birch_forest: { temperature: 0.6, downfall: 0.6 },
+  cherry_grove: { temperature: 0.5, downfall: 0.8, grass: 0xB6DB61, foliage: 0xB6DB61, water: 0x5DB7EF },
+  cold_ocean: { temperature: 0.5, downfall: 0.5, water: 0x3D57D6 },
+  dark_forest: { temperature: 0.7, downfall: 0.8, darkGrass: true },
+  deep_cold_ocean: { temperature: 0.5, downfall: 0.5, water: 0x3D57D6 },
+  deep_dark: { temperature: 0.8, downfall: 0.4 },
+  deep_frozen_ocean: { temperature: 0.5, downfall: 0.5, water: 0x3938C9 },
+  deep_lukewarm_ocean: { temperature: 0.5, downfall: 0.5, water: 0x45ADF2 },
+  deep_ocean: { temperature: 0.5, downfall: 0.5 },
+  desert: { temperature: 2.0, downfall: 0.0 },
+  dripstone_caves: { temperature: 0.8, downfall: 0.4 },
+  eroded_badlands: { temperature: 2.0, downfall: 0.0, grass: 0x90814D, foliage: 0x9E814D },
+  flower_forest: { temperature: 0.7, downfall: 0.8 },
+  forest: { temperature: 0.7, downfall: 0.8 },
+  frozen_ocean: { temperature: 0.0, downfall: 0.5, water: 0x3938C9 },
+  frozen_peaks: { temperature: -0.7, downfall: 0.9 },
+  frozen_river: { temperature: 0.0, downfall: 0.5, water: 0x3938C9 },
+  grove: { temperature: -0.2, downfall: 0.8 },
+  ice_spikes: { temperature: 0.0, downfall: 0.5 },
+  jagged_peaks: { temperature: -0.7, downfall: 0.9 },
+  jungle: { temperature: 0.95, downfall: 0.9 },
+  lukewarm_ocean: { temperature: 0.5, downfall: 0.5, water: 0x45ADF2 },
+  lush_caves: { temperature: 0.5, downfall: 0.5 },
+  mangrove_swamp: { temperature: 0.8, downfall: 0.9, grass: 0x6A7039, foliage: 0x8DB127, water: 0x3A7A6A },
+  meadow: { temperature: 0.5, downfall: 0.8, water: 0x0E4ECF },
+  mushroom_fields: { temperature: 0.9, downfall: 1.0 },
+  ocean: { temperature: 0.5, downfall: 0.5 },
+  old_growth_birch_forest: { temperature: 0.6, downfall: 0.6 },
+  old_growth_pine_taiga: { temperature: 0.3, downfall: 0.8 },
+  old_growth_spruce_taiga: { temperature: 0.25, downfall: 0.8 },
+  plains: { temperature: 0.8, downfall: 0.4 },
+  river: { temperature: 0.5, downfall: 0.5 },
+  savanna: { temperature: 2.0, downfall: 0.0 },
+  savanna_plateau: { temperature: 2.0, downfall: 0.0 },
+  snowy_beach: { temperature: 0.05, downfall: 0.3, water: 0x3D57D6 },
+  snowy_plains: { temperature: 0.0, downfall: 0.5 },
+  snowy_slopes: { temperature: -0.3, downfall: 0.9 },
+  snowy_taiga: { temperature: -0.5, downfall: 0.4, water: 0x3D57D6 },
+  sparse_jungle: { temperature: 0.95, downfall: 0.8 },
+  stony_peaks: { temperature: 1.0, downfall: 0.3 },
+  stony_shore: { temperature: 0.2, downfall: 0.3 },
+  sunflower_plains: { temperature: 0.8, downfall: 0.4 },
+  swamp: { temperature: 0.8, downfall: 0.9, grass: 0x6A7039, foliage: 0x6A7039, water: 0x617B64 },
+  taiga: { temperature: 0.25, downfall: 0.8 },
+  warm_ocean: { temperature: 0.5, downfall: 0.5, water: 0x43D5EE },
+  windswept_forest: { temperature: 0.2, downfall: 0.3 },
+  windswept_gravelly_hills: { temperature: 0.2, downfall: 0.3 },
+  windswept_hills: { temperature: 0.2, downfall: 0.3 },
+  windswept_savanna: { temperature: 2.0, downfall: 0.0 },
+  wooded_badlands: { temperature: 2.0, downfall: 0.0, grass: 0x90814D, foliage: 0x9E814D }
+}
+
+const DEFAULT_BIOME = 'plains'
+const DEFAULT_WATER = 0x3F76E4
+
+// Colors vanilla falls back to when a colormap is missing
+const DEFAULT_GRASS = 0x91BD59
+const DEFAULT_FOLIAGE = 0x77AB2F
+
+// Blocks colored from the grass or foliage colormap
+const GRASS_BLOCKS = new Set([
+  'grass_block', 'grass', 'short_grass', 'tall_grass', 'fern', 'large_fern',
+  'potted_fern', 'sugar_cane', 'pink_petals'
+])
+const FOLIAGE_BLOCKS = new Set([
+  'oak_leaves', 'jungle_leaves', 'acacia_leaves', 'dark_oak_leaves', 'vine'
+])
+const WATER_BLOCKS = new Set(['water', 'water_cauldron', 'bubble_column'])
+
+// Blocks whose tint does not depend on the biome
+const FIXED_TINTS = {
+  birch_leaves: 0x80A755,
+  spruce_leaves: 0x619961,
+  mangrove_leaves: 0x92C648,
+  lily_pad: 0x208030,
+  attached_melon_stem: 0xE0C71C,
+  attached_pumpkin_stem: 0xE0C71C
+}
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+
+// Redstone dust gets brighter and redder with its power level (0-15)
+const redstoneTint = (power) => {
+  const level = power / 15
+  const red = level * 0.6 + (level > 0 ? 0.4 : 0.3)
+  const green = clamp(level * level * 0.7 - 0.5)
+  const blue = clamp(level * level * 0.6 - 0.7)
+  return (Math.round(red * 255) << 16) | (Math.round(green * 255) << 8) | Math.round(blue * 255)
+}
+
+// Growing stems go from green to yellow over their age (0-7)
+const stemTint = (age) => ((age * 32) << 16) | ((255 - age * 8) << 8) | (age * 4)
+
+// Tint colors (0xRRGGBB) for model faces with a tintindex, the way vanilla's
+// block colors work out grass, leaves, water and redstone for one biome.
+// colormaps holds the RGBA pixels of colormap/grass.png and foliage.png
+// (256x256), or null where they are missing.
+class TintResolver {
+  constructor(colormaps = {}, options = {}) {
+    const biomeName = (options.biome || DEFAULT_BIOME).replace('minecraft:', '')
+    const biome = BIOMES[biomeName]
+    if (!biome) {
+      throw new Error(`Unknown biome: ${options.biome}`)
+    }
+
+    this.biome = biomeName
+    this.temperature = options.temperature ?? biome.temperature
+    this.downfall = options.downfall ?? biome.downfall
+
+    // An explicit climate stands for no biome in particular, so the biome's
+    // own color overrides no longer apply
+    const custom = options.temperature !== undefined || options.downfall !== undefined
+    this.grass = (!custom && biome.grass) || this.colormapColor(colormaps.grass, DEFAULT_GRASS)
+    this.foliage = (!custom && biome.foliage) || this.colormapColor(colormaps.foliage, DEFAULT_FOLIAGE)
+    this.water = biome.water || DEFAULT_WATER
+
+    if (!custom && biome.darkGrass) {
+      this.grass = ((this.grass & 0xFEFEFE) + 0x28340A) >> 1
+    }
+  }
+
+  // Colormaps are indexed by temperature along x and, scaled by temperature,
+  // downfall along y, both running from 1 down to 0
+  colormapColor(pixels, fallback) {
+    if (!pixels) return fallback
+
+    const temperature = clamp(this.temperature)
+    const downfall = clamp(this.downfall) * temperature
+    const x = Math.floor((1 - temperature) * 255)
+    const y = Math.floor((1 - downfall) * 255)
+    const index = (y * 256 + x) * 4
+    return (pixels[index] << 16) | (pixels[index + 1] << 8) | pixels[index + 2]
+  }
+
+  // Tint for the tinted faces of a block, or null when it has none
+  tintFor(blockName, properties = {}) {
+    const name = blockName.replace('minecraft:', '')
+
+    if (GRASS_BLOCKS.has(name)) return this.grass
+    if (FOLIAGE_BLOCKS.has(name)) return this.foliage
+    if (WATER_BLOCKS.has(name)) return this.water
+    if (name in FIXED_TINTS) return FIXED_TINTS[name]
+    if (name === 'redstone_wire') return redstoneTint(Number(properties.power) || 0)
+    if (name === 'melon_stem' || name === 'pumpkin_stem') return stemTint(Number(properties.age) || 0)
+    return null
+  }
+}
+
+export { BIOMES }
+export default TintResolver
@@ -0,0 +1,45 @@
+import minecraftData from 'minecraft-data'
+import mcAssets from 'minecraft-assets'
+
+// Java Edition releases minecraft-data has block data for, oldest first, each
+// with the DataVersion its world and structure files carry. Snapshots and
+// pre-releases are left out: their block data is often partial and they have
+// no assets. minecraft-data only tags recent entries with a releaseType, so
+// releases are told apart by their plain x.y[.z] name.
+const RELEASE_VERSION = /^\d+\.\d+(\.\d+)?$/
+
+const supportedReleases = () => minecraftData.supportedVersions.pc
+  .map(version => minecraftData.versionsByMinecraftVersion.pc[version])
+  .filter(entry => entry && RELEASE_VERSION.test(entry.minecraftVersion) && Number.isInteger(entry.dataVersion))
+  .sort((a, b) => a.dataVersion - b.dataVersion)
+
+const dataVersionOf = (version) => minecraftData.versionsByMinecraftVersion.pc[version]?.dataVersion
+
+// The newest supported release that is not newer than the file: block names
+// only get renamed or removed in later versions, never in earlier ones.
+// Files older than every supported release use the oldest one.
+const versionForDataVersion = (dataVersion) => {
+  const releases = supportedReleases()
+  if (!Number.isInteger(dataVersion) || releases.length === 0) return null
+
+  const candidates = releases.filter(entry => entry.dataVersion <= dataVersion)
+  const match = candidates.length > 0 ? candidates[candidates.length - 1] : releases[0]
+  return match.minecraftVersion
+}
+
+// minecraft-assets covers fewer versions than minecraft-data; pick the
+// textures and models of the newest assets version not newer than `version`
+const assetsVersionFor = (version) => {
+  if (mcAssets.versions.includes(version)) return version
+
+  const dataVersion = dataVersionOf(version)
+  const assetsVersions = mcAssets.versions
+    .filter(assetsVersion => Number.isInteger(dataVersionOf(assetsVersion)))
+    .sort((a, b) => dataVersionOf(a) - dataVersionOf(b))
+  if (!Number.isInteger(dataVersion) || assetsVersions.length === 0) return null
+
+  const candidates = assetsVersions.filter(assetsVersion => dataVersionOf(assetsVersion) <= dataVersion)
+  return candidates.length > 0 ? candidates[candidates.length - 1] : assetsVersions[0]
+}
+
+export { versionForDataVersion, assetsVersionFor }
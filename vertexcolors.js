@@ -0,0 +1,121 @@
+import * as THREE from 'three'
+
+// The game shades sRGB colors, while glTF vertex colors are linear
+const toLinear = (value) => new THREE.Color().setRGB(value, value, value, THREE.SRGBColorSpace).r
+
+// Brightness of a vertex by how open its corner is: 0 when both sides next to
+// it are solid, up to 3 when neither side nor the diagonal block is
+const AO_BRIGHTNESS = [0.45, 0.65, 0.82, 1].map(toLinear)
+
+// Brightness of each light level, following the curve of the game's
+// lightmap, with a little left over so unlit faces are not pure black
+const MIN_BRIGHTNESS = 0.05
+const LIGHT_BRIGHTNESS = Array.from({ length: 16 }, (_, level) => {
+  const fraction = level / 15
+  return toLinear(MIN_BRIGHTNESS + (1 - MIN_BRIGHTNESS) * fraction / (4 - 3 * fraction))
+})
+
+// How close a face must be to the block's edge to count as lying on it
+const EPSILON = 1e-4
+
+// Untinted geometry made mergeable with tinted geometry: every vertex white
+const addWhiteColors = (geometry) => {
+  const count = geometry.getAttribute('position').count
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Array(count * 3).fill(1), 3))
+  return geometry
+}
+
+// Call fn(index, cells) for each vertex of one block's geometry (in 0-1 block
+// space) with the world positions of the blocks around its corner: the block
+// the face looks into, the two beside it and the diagonal one
+const forEachVertexCorner = (geometry, blockPosition, fn) => {
+  const position = geometry.getAttribute('position')
+  const normal = geometry.getAttribute('normal')
+  const point = [0, 0, 0]
+  const facing = [0, 0, 0]
+
+  for (let i = 0; i < position.count; i++) {
+    point[0] = position.getX(i)
+    point[1] = position.getY(i)
+    point[2] = position.getZ(i)
+    facing[0] = normal.getX(i)
+    facing[1] = normal.getY(i)
+    facing[2] = normal.getZ(i)
+
+    // The face looks along its normal's main axis; the corners it shares with
+    // its neighbors lie across the other two
+    const axis = [0, 1, 2].reduce((best, a) => Math.abs(facing[a]) > Math.abs(facing[best]) ? a : best, 0)
+    const [acrossA, acrossB] = [0, 1, 2].filter(a => a !== axis)
+
+    // Faces on the block's edge see the next layer of blocks, inner faces
+    // (slab tops, torch sides) the block's own layer
+    const face = [...blockPosition]
+    if (facing[axis] > 0 && point[axis] >= 1 - EPSILON) face[axis]++
+    if (facing[axis] < 0 && point[axis] <= EPSILON) face[axis]--
+
+    const offset = (a, b) => {
+      const cell = [...face]
+      cell[acrossA] += a
+      cell[acrossB] += b
+      return cell
+    }
+    const stepA = point[acrossA] < 0.5 ? -1 : 1
+    const stepB = point[acrossB] < 0.5 ? -1 : 1
+    fn(i, { face, sideA: offset(stepA, 0), sideB: offset(0, stepB), corner: offset(stepA, stepB) })
+  }
+}
+
+const scaleColor = (color, index, factor) => {
+  color.setXYZ(index, color.getX(index) * factor, color.getY(index) * factor, color.getZ(index) * factor)
+}
+
+// Darken vertices where solid blocks crowd their corner, like Minecraft's
+// smooth lighting. occludes(x, y, z) tells whether a block is solid.
+const bakeAmbientOcclusion = (geometry, blockPosition, occludes) => {
+  if (!geometry.hasAttribute('color')) addWhiteColors(geometry)
+  const color = geometry.getAttribute('color')
+
+  forEachVertexCorner(geometry, blockPosition, (index, { sideA, sideB, corner }) => {
+    const a = occludes(...sideA) ? 1 : 0
+    const b = occludes(...sideB) ? 1 : 0
+    const openness = a && b ? 0 : 3 - a - b - (occludes(...corner) ? 1 : 0)
+    scaleColor(color, index, AO_BRIGHTNESS[openness])
+  })
+
+  return geometry
+}
+
+// Shade vertices by the light around them, averaged over the open blocks at
+// their corner. lightAt(x, y, z) gives a block's light level (0-15).
+const bakeLight = (geometry, blockPosition, lightAt, occludes) => {
+  if (!geometry.hasAttribute('color')) addWhiteColors(geometry)
+  const color = geometry.getAttribute('color')
+
+  forEachVertexCorner(geometry, blockPosition, (index, { face, sideA, sideB, corner }) => {
+    // A face resting on a solid block (a torch's bottom) takes the light of
+    // its own block
+    if (occludes(...face)) {
+      scaleColor(color, index, LIGHT_BRIGHTNESS[Math.round(lightAt(...blockPosition))])
+      return
+    }
+
+    const cells = [face]
+    const openA = !occludes(...sideA)
+    const openB = !occludes(...sideB)
+    if (openA) cells.push(sideA)
+    if (openB) cells.push(sideB)
+    // Light cannot squeeze diagonally between two solid blocks
+    if ((openA || openB) && !occludes(...corner)) cells.push(corner)
+
+    const level = cells.reduce((sum, cell) => sum + lightAt(...cell), 0) / cells.length
+    const lower = Math.floor(level)
+    const brightness = lower >= 15
+      ? LIGHT_BRIGHTNESS[15]
+      : LIGHT_BRIGHTNESS[lower] + (LIGHT_BRIGHTNESS[lower + 1] - LIGHT_BRIGHTNESS[lower]) * (level - lower)
+    scaleColor(color, index, brightness)
+  })
+
+  return geometry
+}
+
+export { addWhiteColors, bakeAmbientOcclusion, bakeLight }
@@ -0,0 +1,81 @@
+// Largest number of distinct block states a grid can hold; index 0 is air
+const MAX_STATES = 0xFFFF
+
+// Dense block storage for a structure of known size. Each cell holds an index
+// into a list of block states ({ type, name, properties }), so a structure
+// costs two bytes per block regardless of how many blocks are air.
+class VoxelGrid {
+  constructor(size) {
+    this.size = { x: size.x, y: size.y, z: size.z }
+    if (![this.size.x, this.size.y, this.size.z].every(n => Number.isInteger(n) && n >= 0)) {
+      throw new Error(`Invalid structure size: ${JSON.stringify(size)}`)
+    }
+
+    this.voxels = new Uint16Array(this.size.x * this.size.y * this.size.z)
+    this.states = [null]
+    this.stateIndices = new Map()
+    this.blockCount = 0
+  }
+
+  // Register a block state and return the index to pass to set()
+  addState(state) {
+    const key = `${state.type}[${Object.entries(state.properties || {}).sort().join(',')}]`
+    if (this.stateIndices.has(key)) return this.stateIndices.get(key)
+
+    if (this.states.length > MAX_STATES) {
+      throw new Error(`Structure has more than ${MAX_STATES} distinct block states`)
+    }
+
+    const index = this.states.length
+    this.states.push({ ...state, properties: state.properties || {} })
+    this.stateIndices.set(key, index)
+    return index
+  }
+
+  contains(x, y, z) {
+    return x >= 0 && y >= 0 && z >= 0 &&
+      x < this.size.x && y < this.size.y && z < this.size.z
+  }
+
+  indexOf(x, y, z) {
+    return (y * this.size.z + z) * this.size.x + x
+  }
+
+  set(x, y, z, stateIndex) {
+    if (!this.contains(x, y, z)) {
+      throw new Error(`Block position ${x},${y},${z} is outside the structure size`)
+    }
+
+    const index = this.indexOf(x, y, z)
+    if (this.voxels[index] === 0 && stateIndex !== 0) this.blockCount++
+    if (this.voxels[index] !== 0 && stateIndex === 0) this.blockCount--
+    this.voxels[index] = stateIndex
+  }
+
+  // Block state at a position, or null for air and positions outside the grid
+  get(x, y, z) {
+    if (!this.contains(x, y, z)) return null
+    return this.states[this.voxels[this.indexOf(x, y, z)]]
+  }
+
+  // Call fn(state, x, y, z) for every non-air block, optionally only within
+  // bounds ({ min, max } corners, max exclusive)
+  forEach(fn, bounds = null) {
+    const min = bounds?.min || { x: 0, y: 0, z: 0 }
+    const max = bounds?.max || this.size
+    const endX = Math.min(max.x, this.size.x)
+    const endY = Math.min(max.y, this.size.y)
+    const endZ = Math.min(max.z, this.size.z)
+
+    for (let y = Math.max(min.y, 0); y < endY; y++) {
+      for (let z = Math.max(min.z, 0); z < endZ; z++) {
+        for (let x = Math.max(min.x, 0); x < endX; x++) {
+          const stateIndex = this.voxels[this.indexOf(x, y, z)]
+          if (stateIndex !== 0) fn(this.states[stateIndex], x, y, z)
+        }
+      }
+    }
+  }
+}
+
+export default VoxelGrid